@@ -1,17 +1,38 @@
 // api/bot.js
 const TelegramBot = require('node-telegram-bot-api');
-const { kv } = require('@vercel/kv');
+const { kv } = require('../lib/storage');
+const { secretsMatch } = require('../lib/secret');
+const { escapeHtml, formatToHtml, htmlToPlain, splitForTelegram, splitHtmlForTelegram } = require('../lib/telegram-html');
 const { init } = require('@heyputer/puter.js/src/init.cjs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const undici = require('undici');
+const { PDFParse } = require('pdf-parse');
 
 // --- CONFIGURATION ---
 const DEFAULT_MODEL = 'claude-opus-4-5'; // Main "Thinking" Brain
 const ROUTER_MODEL = 'gpt-4o';           // Fast "Decision" Brain
+const VISION_MODEL = 'gpt-4o';           // Fallback "Eyes" for text-only models
+const SUMMARY_MODEL = 'gpt-4o-mini';     // Cheap "Memory" Brain for rolling summaries
+// Tried in order when every token fails on the chosen model (override per chat with /fallback)
+const FALLBACK_MODELS = (process.env.FALLBACK_MODELS || 'gpt-4o,gemini-2.5-flash')
+    .split(',').map(m => m.trim()).filter(Boolean);
 
 // --- IMAGE MODEL MAPPING ---
-// Default set to Flux Dev (High Quality).
+// Short names for /image --model, /imagemodels and the per-chat default.
+// size: how an aspect ratio is passed ('pixels' = width/height, 'ratio' = { w, h }).
+// edit: the option that takes a source photo, for models that can edit one.
 const IMAGE_MODELS = {
-    'default': 'black-forest-labs/FLUX.1-dev'
+    'flux-dev': { id: 'black-forest-labs/FLUX.1-dev', name: 'Flux Dev', size: 'pixels' },
+    'flux-schnell': { id: 'black-forest-labs/FLUX.1-schnell', name: 'Flux Schnell', size: 'pixels' },
+    'flux-kontext': { id: 'black-forest-labs/FLUX.1-kontext-dev', name: 'Flux Kontext', size: 'pixels', edit: 'image_base64' },
+    'sdxl': { id: 'stabilityai/stable-diffusion-xl-base-1.0', name: 'SDXL', size: 'pixels' },
+    'gpt-image': { id: 'gpt-image-1-mini', name: 'GPT Image Mini', size: 'ratio', edit: 'input_image' },
+    'nano-banana': { id: 'gemini-2.5-flash-image-preview', name: 'Nano Banana', size: 'ratio', edit: 'input_image' }
 };
+const DEFAULT_IMAGE_MODEL = 'flux-dev';     // High quality
+const DEFAULT_EDIT_MODEL = 'flux-kontext';  // For photo edits when the chat's model can't edit
 
 // --- HELPER 1: GET ALL TOKENS (ENV + DB) ---
 async function getAllTokens() {
@@ -31,60 +52,574 @@ async function getAllTokens() {
     return combined;
 }
 
-// --- HELPER 2: AI CALL WRAPPER ---
-async function callAIWithRotation(messages, modelId = DEFAULT_MODEL) {
-    let tokens = await getAllTokens();
-    
-    // Shuffle tokens for load balancing
-    for (let i = tokens.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [tokens[i], tokens[j]] = [tokens[j], tokens[i]];
+// --- HELPER 1b: TOKEN HEALTH (COOLDOWNS & BALANCE) ---
+// One KV key per token (token_health:<fingerprint>) so parallel calls don't clobber each other.
+const QUOTA_COOLDOWN_BASE_MS = 10 * 60 * 1000;   // Doubles per consecutive quota failure
+const AUTH_COOLDOWN_MS = 60 * 60 * 1000;
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const BALANCE_STALE_MS = 6 * 60 * 60 * 1000;
+
+function tokenHealthKey(token) {
+    return `token_health:${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+}
+
+async function getTokenHealth(tokens) {
+    try {
+        const entries = await kv.mget(...tokens.map(tokenHealthKey));
+        return entries.map(h => h || {});
+    } catch (e) {
+        console.warn("KV Health fetch failed:", e);
+        return tokens.map(() => ({}));
+    }
+}
+
+// Only token-specific problems bench a token; model errors or outages would hit every token alike.
+function classifyTokenError(message) {
+    const lower = (message || "").toLowerCase();
+    if (["usage limit", "quota", "insufficient", "out of credits", "rate limit", "insufficient_funds"].some(p => lower.includes(p))) return 'quota';
+    if (["401", "403", "unauthorized", "forbidden", "invalid token", "token_auth_failed", "authentication"].some(p => lower.includes(p))) return 'auth';
+    return null;
+}
+
+// The health writers re-read the record so a balance refreshed by a concurrent call isn't clobbered
+async function recordTokenSuccess(token) {
+    try {
+        const key = tokenHealthKey(token);
+        const health = await kv.get(key) || {};
+        await kv.set(key, { ...health, lastSuccess: Date.now(), failures: 0, cooldownUntil: 0 });
+    } catch (e) {
+        console.warn("KV Health write failed:", e);
+    }
+}
+
+async function recordTokenFailure(token, err) {
+    try {
+        const key = tokenHealthKey(token);
+        const health = await kv.get(key) || {};
+        const now = Date.now();
+        const kind = classifyTokenError(err?.message);
+        const failures = kind ? (health.failures || 0) + 1 : (health.failures || 0);
+
+        let cooldownUntil = health.cooldownUntil || 0;
+        if (kind === 'quota') cooldownUntil = now + Math.min(QUOTA_COOLDOWN_BASE_MS * 2 ** (failures - 1), MAX_COOLDOWN_MS);
+        if (kind === 'auth') cooldownUntil = now + AUTH_COOLDOWN_MS;
+
+        await kv.set(key, {
+            ...health,
+            lastFailure: now,
+            failureReason: `${kind || 'error'}: ${(err?.message || 'unknown').slice(0, 120)}`,
+            failures,
+            cooldownUntil
+        });
+    } catch (e) {
+        console.warn("KV Health write failed:", e);
+    }
+}
+
+async function recordTokenBalance(token, remaining) {
+    if (typeof remaining !== 'number') return;
+    try {
+        const key = tokenHealthKey(token);
+        const health = await kv.get(key) || {};
+        await kv.set(key, { ...health, balance: remaining / 100000000, balanceAt: Date.now() });
+    } catch (e) {
+        console.warn("KV Health write failed:", e);
+    }
+}
+
+// Rotation reads balances from token health, so they're re-checked whenever a
+// token runs out of quota or its last reading is older than BALANCE_STALE_MS
+function isBalanceStale(health) {
+    return !health.balanceAt || Date.now() - health.balanceAt > BALANCE_STALE_MS;
+}
+
+async function refreshTokenBalance(puter, token) {
+    try {
+        const usage = await puter.auth.getMonthlyUsage();
+        await recordTokenBalance(token, usage?.allowanceInfo?.remaining);
+    } catch (e) {
+        console.warn(`Balance check failed for ...${token.slice(-4)}: ${e.message}`);
+    }
+}
+
+function formatAgo(timestamp) {
+    if (!timestamp) return "never";
+    const mins = Math.round((Date.now() - timestamp) / 60000);
+    if (mins < 60) return `${mins}m ago`;
+    if (mins < 48 * 60) return `${Math.round(mins / 60)}h ago`;
+    return `${Math.round(mins / 1440)}d ago`;
+}
+
+function describeTokenHealth(health) {
+    const lines = [];
+    if ((health.cooldownUntil || 0) > Date.now()) {
+        const mins = Math.ceil((health.cooldownUntil - Date.now()) / 60000);
+        lines.push(`• Status: ⏸️ Benched for ${mins}m (${escapeHtml(health.failureReason || 'unknown')})`);
+    } else {
+        lines.push(`• Status: ✅ Ready`);
+    }
+    lines.push(`• Last OK: ${formatAgo(health.lastSuccess)} | Last Fail: ${formatAgo(health.lastFailure)}`);
+    return lines.join('\n');
+}
+
+// Skips benched tokens and orders the rest by a balance-weighted shuffle,
+// so richer tokens go first more often without starving the others.
+function orderTokensByHealth(tokens, healths) {
+    const now = Date.now();
+    const known = healths.map(h => h.balance).filter(b => typeof b === 'number');
+    const fallbackWeight = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+
+    const ready = [];
+    const benched = [];
+    tokens.forEach((token, i) => {
+        const health = healths[i];
+        if ((health.cooldownUntil || 0) > now) {
+            benched.push({ token, health });
+        } else {
+            const weight = Math.max(typeof health.balance === 'number' ? health.balance : fallbackWeight, 0.001);
+            ready.push({ token, health, sortKey: Math.random() ** (1 / weight) });
+        }
+    });
+
+    ready.sort((a, b) => b.sortKey - a.sortKey);
+    if (ready.length > 0) return ready;
+
+    // Everything is benched: try the ones closest to recovering rather than giving up
+    return benched.sort((a, b) => a.health.cooldownUntil - b.health.cooldownUntil);
+}
+
+// --- HELPER 1c: USAGE ACCOUNTING & BUDGETS ---
+// Metered calls carry a `meter` ({ chatId, userId }). Each one appends a record to
+// usage_log:<chatId> (newest first, capped) and bumps the day/month totals that
+// budgets are checked against. Costs are estimates from a price table; token
+// counts use the API's usage when present and ~4 chars per token otherwise.
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+const MAX_USAGE_RECORDS = 2000;
+const BUDGET_DOWNGRADE_MODEL = 'gpt-4o-mini';
+const IMAGE_PRICE_USD = 0.025;
+// [pattern, USD per 1M input tokens, USD per 1M output tokens]; first match wins
+const MODEL_PRICES = [
+    [/opus/i, 15, 75],
+    [/sonnet/i, 3, 15],
+    [/haiku/i, 0.8, 4],
+    [/mini|nano|flash-lite/i, 0.15, 0.6],
+    [/gpt-4o|gpt-4\.1/i, 2.5, 10],
+    [/gpt-5|o3|o4/i, 1.25, 10],
+    [/gemini.*flash/i, 0.3, 2.5],
+    [/gemini/i, 1.25, 10],
+    [/grok/i, 3, 15],
+    [/deepseek/i, 0.3, 1.2]
+];
+const DEFAULT_MODEL_PRICE = [1, 4];
+
+// Budget days and months follow the bot's Manila clock
+function usagePeriod(ts) {
+    const day = new Date(ts).toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' });
+    return { day, month: day.slice(0, 7) };
+}
+
+function estimateTokens(messages) {
+    let chars = 0;
+    for (const m of messages) {
+        if (typeof m.content === 'string') chars += m.content.length;
+        else if (Array.isArray(m.content)) {
+            // Inlined images count as a flat ~1000 tokens, not their base64 size
+            m.content.forEach(part => { chars += part.type === 'text' ? (part.text || '').length : 4000; });
+        }
+    }
+    return Math.ceil(chars / 4);
+}
+
+function estimateChatCost(modelId, messages, text, reported = null) {
+    const input = reported?.prompt_tokens ?? reported?.input_tokens ?? estimateTokens(messages);
+    const output = reported?.completion_tokens ?? reported?.output_tokens ?? Math.ceil(text.length / 4);
+    const [inPrice, outPrice] = (MODEL_PRICES.find(([pattern]) => pattern.test(modelId)) || [null, ...DEFAULT_MODEL_PRICE]).slice(1);
+    return { input, output, cost: (input * inPrice + output * outPrice) / 1e6 };
+}
+
+async function recordUsage(meter, { kind, model, token, cost, input = 0, output = 0 }) {
+    if (!meter?.chatId) return;
+    const ts = Date.now();
+    const { day, month } = usagePeriod(ts);
+    const record = {
+        ts, kind, model,
+        token: `...${token.slice(-4)}`,
+        user: meter.userId ?? null,
+        cost: Number(cost.toFixed(6)),
+        in: input,
+        out: output
+    };
+
+    // Accounting must never break a reply
+    try {
+        const logKey = `usage_log:${meter.chatId}`;
+        await kv.lpush(logKey, record);
+        await kv.ltrim(logKey, 0, MAX_USAGE_RECORDS - 1);
+        await kv.expire(logKey, USAGE_RETENTION_DAYS * 86400);
+        await kv.incrbyfloat(`usage_total:${meter.chatId}:${day}`, record.cost);
+        await kv.expire(`usage_total:${meter.chatId}:${day}`, 2 * 86400);
+        await kv.incrbyfloat(`usage_total:${meter.chatId}:${month}`, record.cost);
+        await kv.expire(`usage_total:${meter.chatId}:${month}`, 32 * 86400);
+    } catch (e) {
+        console.warn("KV Usage write failed:", e);
+    }
+}
+
+async function loadUsageRecords(chatId) {
+    const cutoff = Date.now() - USAGE_RETENTION_DAYS * 86400 * 1000;
+    const records = await kv.lrange(`usage_log:${chatId}`, 0, -1) || [];
+    return records.filter(r => r && r.ts >= cutoff);
+}
+
+// budget:<chatId> holds { daily, monthly, action } in USD; action is 'block' or 'downgrade'.
+// Returns null when the chat has no budget.
+async function checkBudget(chatId) {
+    const budget = await kv.get(`budget:${chatId}`);
+    if (!budget || (!budget.daily && !budget.monthly)) return null;
+
+    const { day, month } = usagePeriod(Date.now());
+    const [spentDay, spentMonth] = (await kv.mget(`usage_total:${chatId}:${day}`, `usage_total:${chatId}:${month}`))
+        .map(v => parseFloat(v) || 0);
+    let exceeded = null;
+    if (budget.daily && spentDay >= budget.daily) exceeded = 'daily';
+    else if (budget.monthly && spentMonth >= budget.monthly) exceeded = 'monthly';
+    return { ...budget, action: budget.action || 'block', spentDay, spentMonth, exceeded };
+}
+
+function formatUsd(amount) {
+    return `$${amount < 0.01 && amount > 0 ? amount.toFixed(4) : amount.toFixed(2)}`;
+}
+
+function formatUsageReport(records, title) {
+    if (records.length === 0) return `<b>${title}</b>\n\nNo usage recorded yet.`;
+
+    const byDay = {};
+    const byModel = {};
+    let total = 0;
+    for (const r of records) {
+        const { day } = usagePeriod(r.ts);
+        byDay[day] = (byDay[day] || 0) + r.cost;
+        byModel[r.model] = byModel[r.model] || { cost: 0, calls: 0 };
+        byModel[r.model].cost += r.cost;
+        byModel[r.model].calls++;
+        total += r.cost;
+    }
+
+    let msg = `<b>${title}</b>\n\n<b>By day</b> (last 7)\n`;
+    Object.keys(byDay).sort().reverse().slice(0, 7).forEach(day => {
+        msg += `• ${day}: ${formatUsd(byDay[day])}\n`;
+    });
+    msg += `\n<b>By model</b>\n`;
+    Object.entries(byModel).sort((a, b) => b[1].cost - a[1].cost).slice(0, 10).forEach(([model, m]) => {
+        msg += `• <code>${escapeHtml(model)}</code>: ${formatUsd(m.cost)} (${m.calls} calls)\n`;
+    });
+    const oldest = records[records.length - 1].ts;
+    msg += `\n<b>Total:</b> ${formatUsd(total)} since ${usagePeriod(oldest).day}\n<i>Costs are estimates.</i>`;
+    return msg;
+}
+
+// --- HELPER 1d: KV LOCKS ---
+// A lock is lock:<name> holding a random owner id, set with NX and an expiry so a
+// crashed invocation can't hold it forever. Release only deletes our own lock.
+const LOCK_POLL_MS = 250;
+
+async function acquireLock(name, ttlMs) {
+    const owner = crypto.randomBytes(8).toString('hex');
+    const acquired = await kv.set(`lock:${name}`, owner, { nx: true, px: ttlMs });
+    return acquired ? owner : null;
+}
+
+async function releaseLock(name, owner) {
+    try {
+        if (await kv.get(`lock:${name}`) === owner) await kv.del(`lock:${name}`);
+    } catch (e) {
+        console.warn(`KV Lock release failed for ${name}:`, e);
+    }
+}
+
+// Extends a lock we hold. The compare comes first and the write is XX, so an
+// expired lock that another run has since taken is never overwritten; returns
+// false when the lock is no longer ours.
+async function refreshLock(name, owner, ttlMs) {
+    if (await kv.get(`lock:${name}`) !== owner) return false;
+    return Boolean(await kv.set(`lock:${name}`, owner, { xx: true, px: ttlMs }));
+}
+
+// Runs fn while holding the lock, waiting up to waitMs for it.
+async function withLock(name, fn, { ttlMs = 30000, waitMs = 10000 } = {}) {
+    const deadline = Date.now() + waitMs;
+    let owner = await acquireLock(name, ttlMs);
+    while (!owner) {
+        if (Date.now() > deadline) throw new Error("Busy with another update, please try again.");
+        await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+        owner = await acquireLock(name, ttlMs);
+    }
+    try {
+        return await fn();
+    } finally {
+        await releaseLock(name, owner);
     }
+}
+
+// Read-modify-write of the extra_tokens list under its lock. mutate() gets the
+// current list and returns the new one.
+async function updateExtraTokens(mutate) {
+    return withLock('extra_tokens', async () => {
+        const current = await kv.get('extra_tokens') || [];
+        const next = mutate([...current]);
+        await kv.set('extra_tokens', next);
+        return { before: current, after: next };
+    });
+}
+
+// --- HELPER 2: AI CALL WRAPPER ---
+// Runs `task(puter, token)` against each healthy token until one succeeds.
+async function runWithTokenRotation(label, task) {
+    const tokens = await getAllTokens();
+    const healths = await getTokenHealth(tokens);
+    const ordered = orderTokensByHealth(tokens, healths);
 
     let lastError = null;
 
-    for (const token of tokens) {
+    for (const { token, health } of ordered) {
+        const puter = init(token);
         try {
-            const puter = init(token);
-            const result = await puter.ai.chat(messages, { model: modelId });
-
-            if (!result) throw new Error("Empty response");
-            if (result.error) throw new Error(JSON.stringify(result));
-
-            let text = "";
-            if (typeof result === 'string') {
-                text = result;
-            } else if (result?.message?.content) {
-                const content = result.message.content;
-                if (typeof content === 'string') text = content;
-                else if (Array.isArray(content)) {
-                    text = content.filter(b => b.type === 'text' || b.text).map(b => b.text || '').join('');
-                }
-            } else if (Array.isArray(result)) {
-                 text = result.map(b => b.text || '').join('');
-            } else {
-                text = JSON.stringify(result);
+            const result = await task(puter, token);
+            await recordTokenSuccess(token);
+            if (isBalanceStale(health)) await refreshTokenBalance(puter, token);
+            return result;
+        } catch (err) {
+            console.warn(`Token ...${token.slice(-4)} failed on ${label}: ${err.message}`);
+            await recordTokenFailure(token, err);
+            if (classifyTokenError(err.message) === 'quota' || isBalanceStale(health)) await refreshTokenBalance(puter, token);
+            lastError = err;
+        }
+    }
+    throw new Error(`All tokens failed. Last error: ${lastError?.message}`);
+}
+
+// options.meter attributes the call's estimated cost to a chat (see HELPER 1c).
+// options.settings are the chat's /set options (HELPER 2c); options.onReasoning
+// receives the model's reasoning text, when it returns any.
+async function callAIWithRotation(messages, modelId = DEFAULT_MODEL, options = {}) {
+    return runWithTokenRotation(modelId, async (puter, token) => {
+        const result = await puter.ai.chat(messages, { model: modelId, ...chatCallOptions(options.settings, modelId) });
+
+        if (!result) throw new Error("Empty response");
+        if (result.error) throw new Error(JSON.stringify(result));
+
+        let text = "";
+        if (typeof result === 'string') {
+            text = result;
+        } else if (result?.message?.content) {
+            const content = result.message.content;
+            if (typeof content === 'string') text = content;
+            else if (Array.isArray(content)) {
+                text = content.filter(b => b.type === 'text' || b.text).map(b => b.text || '').join('');
             }
-            text = text.trim();
+        } else if (Array.isArray(result)) {
+             text = result.map(b => b.text || '').join('');
+        } else {
+            text = JSON.stringify(result);
+        }
+        text = text.trim();
 
-            if (text.length < 150) {
-                const lower = text.toLowerCase();
-                const failPhrases = ["usage limit", "quota", "insufficient credit", "out of credits", "rate limit"];
-                if (failPhrases.some(p => lower.includes(p))) {
-                    throw new Error(`Quota exceeded: ${text}`);
-                }
+        if (text.length < 150) {
+            const lower = text.toLowerCase();
+            const failPhrases = ["usage limit", "quota", "insufficient credit", "out of credits", "rate limit"];
+            if (failPhrases.some(p => lower.includes(p))) {
+                throw new Error(`Quota exceeded: ${text}`);
             }
-            return text;
+        }
+
+        const { input, output, cost } = estimateChatCost(modelId, messages, text, result?.usage);
+        await recordUsage(options.meter, { kind: 'chat', model: modelId, token, cost, input, output });
+        const reasoning = result?.message?.reasoning;
+        if (options.onReasoning && typeof reasoning === 'string' && reasoning.trim()) options.onReasoning(reasoning.trim());
+        return text;
+    });
+}
+
+// --- HELPER 2b: MODEL FALLBACK CHAIN ---
+async function callAIWithFallback(messages, primaryModel, fallbackModels = FALLBACK_MODELS, options = {}) {
+    const chain = [...new Set([primaryModel, ...fallbackModels])];
+    let lastError = null;
+
+    for (const modelId of chain) {
+        try {
+            const text = await callAIWithRotation(messages, modelId, options);
+            return { text, model: modelId };
         } catch (err) {
-            console.warn(`Token ...${token.slice(-4)} failed on ${modelId}: ${err.message}`);
+            console.warn(`Model ${modelId} exhausted: ${err.message}`);
             lastError = err;
         }
     }
-    throw new Error(`All tokens failed. Last error: ${lastError?.message}`);
+    throw lastError;
+}
+
+// Models from puter.ai.listModels() as [{ id, provider }], cached briefly so
+// /use and the /models picker stay fast. Picker buttons refer to list indexes.
+async function fetchModelCatalog() {
+    const cached = await kv.get('model_catalog_cache');
+    if (Array.isArray(cached) && cached.length > 0) return cached;
+
+    const tokens = await getAllTokens();
+    const puter = init(tokens[0]);
+    const models = await puter.ai.listModels();
+    const seen = new Set();
+    const catalog = models
+        .filter(m => m.id && !seen.has(m.id) && seen.add(m.id))
+        .map(m => ({ id: m.id, provider: m.provider || 'Other' }));
+    if (catalog.length > 0) await kv.set('model_catalog_cache', catalog, { ex: 3600 });
+    return catalog;
+}
+
+async function fetchModelIds() {
+    return (await fetchModelCatalog()).map(m => m.id);
+}
+
+function editDistance(a, b) {
+    const dp = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = dp[0];
+        dp[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = dp[j];
+            dp[j] = Math.min(dp[j] + 1, dp[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = temp;
+        }
+    }
+    return dp[b.length];
+}
+
+function suggestModels(query, ids, limit = 5) {
+    const q = query.toLowerCase();
+    return ids
+        .map(id => {
+            const lower = id.toLowerCase();
+            // Substring hits ("opus" -> "claude-opus-4-5") beat pure typo distance
+            const score = lower.includes(q) ? 0 : editDistance(q, lower.split('/').pop());
+            return { id, score };
+        })
+        .filter(m => m.score <= Math.max(3, Math.floor(q.length / 3)))
+        .sort((a, b) => a.score - b.score || a.id.length - b.id.length)
+        .slice(0, limit)
+        .map(m => m.id);
+}
+
+// Resolves a user-typed model name: exact (case-insensitive) match, or suggestions.
+async function resolveModelName(name) {
+    let ids = [];
+    try {
+        ids = await fetchModelIds();
+    } catch (e) {
+        console.warn("Model list fetch failed:", e.message);
+    }
+    if (ids.length === 0) return { id: name, verified: false, suggestions: [] };
+
+    const exact = ids.find(id => id.toLowerCase() === name.toLowerCase());
+    if (exact) return { id: exact, verified: true, suggestions: [] };
+    return { id: null, verified: false, suggestions: suggestModels(name, ids) };
+}
+
+// --- HELPER 2c: GENERATION SETTINGS ---
+// Per-chat options from /set, kept in settings:<convoId> on top of the active
+// persona's. Each chat call only gets the options its model accepts, so a
+// setting meant for one model never breaks another in the fallback chain.
+const REASONING_EFFORTS = ['none', 'minimal', 'low', 'medium', 'high', 'xhigh'];
+const REASONING_MODEL_PATTERNS = [
+    /(^|\/)o[134](-|$)/i, /gpt-5/i, /claude-(opus|sonnet)-4/i, /claude-3-7/i,
+    /gemini-2\.5/i, /gemini-3/i, /deepseek-r1/i, /reasoner/i, /grok-[34]/i
+];
+// OpenAI's reasoning models only run at their default temperature
+const FIXED_TEMPERATURE_PATTERNS = [/(^|\/)o[134](-|$)/i, /gpt-5/i];
+const MAX_REASONING_CHARS = 3000;
+
+const GENERATION_SETTINGS = {
+    temperature: {
+        description: "Randomness, 0-2 (lower is more focused)",
+        parse: value => {
+            const n = Number(value);
+            if (!/^\d*\.?\d+$/.test(value) || n > 2) throw new Error("temperature must be a number from 0 to 2");
+            return n;
+        }
+    },
+    max_tokens: {
+        description: "Longest reply, in tokens (16-32000)",
+        parse: value => {
+            const n = Number(value);
+            if (!/^\d+$/.test(value) || n < 16 || n > 32000) throw new Error("max_tokens must be a whole number from 16 to 32000");
+            return n;
+        }
+    },
+    reasoning: {
+        description: `Thinking effort: ${REASONING_EFFORTS.join('|')}`,
+        parse: value => {
+            if (!REASONING_EFFORTS.includes(value.toLowerCase())) throw new Error(`reasoning must be one of ${REASONING_EFFORTS.join(', ')}`);
+            return value.toLowerCase();
+        }
+    },
+    show_reasoning: {
+        description: "Show the model's reasoning above replies: on|off",
+        parse: value => {
+            if (!['on', 'off'].includes(value.toLowerCase())) throw new Error("show_reasoning must be on or off");
+            return value.toLowerCase() === 'on';
+        }
+    }
+};
+
+function supportsReasoning(modelId) {
+    return REASONING_MODEL_PATTERNS.some(regex => regex.test(modelId));
+}
+
+// The chat's /set options over the persona's. Returns { settings, sources }.
+async function resolveSettings(keys, persona) {
+    const own = await kv.get(keys.settingsKey) || {};
+    const inherited = persona?.settings || {};
+    const sources = {};
+    Object.keys(inherited).forEach(key => { sources[key] = 'persona'; });
+    Object.keys(own).forEach(key => { sources[key] = 'chat'; });
+    return { settings: { ...inherited, ...own }, sources };
+}
+
+// The part of `settings` that modelId accepts, as puter.ai.chat options
+function chatCallOptions(settings, modelId) {
+    const callOptions = {};
+    if (!settings) return callOptions;
+    if (settings.temperature !== undefined && !FIXED_TEMPERATURE_PATTERNS.some(regex => regex.test(modelId))) {
+        callOptions.temperature = settings.temperature;
+    }
+    if (settings.max_tokens !== undefined) callOptions.max_tokens = settings.max_tokens;
+    if (settings.reasoning && supportsReasoning(modelId)) callOptions.reasoning_effort = settings.reasoning;
+    return callOptions;
+}
+
+function settingWarnings(settings, modelId) {
+    const warnings = [];
+    if (settings.temperature !== undefined && FIXED_TEMPERATURE_PATTERNS.some(regex => regex.test(modelId))) {
+        warnings.push(`${modelId} only runs at its default temperature, so temperature is ignored.`);
+    }
+    if ((settings.reasoning || settings.show_reasoning) && !supportsReasoning(modelId)) {
+        warnings.push(`${modelId} isn't a reasoning model, so reasoning settings are ignored.`);
+    }
+    return warnings;
+}
+
+function formatSettingValue(value) {
+    return typeof value === 'boolean' ? (value ? 'on' : 'off') : String(value);
+}
+
+function formatWarnings(warnings) {
+    return warnings.map(w => `\n<i>⚠️ ${escapeHtml(w)}</i>`).join('');
+}
+
+function reasoningBlockquote(reasoning) {
+    const text = reasoning.length > MAX_REASONING_CHARS ? `${reasoning.slice(0, MAX_REASONING_CHARS)}…` : reasoning;
+    return `<blockquote expandable>🧠 ${escapeHtml(text)}</blockquote>\n`;
 }
 
 // --- HELPER 3: INTENT ANALYZER (OPTIMIZED ROUTER) ---
-async function analyzeUserIntent(history, userMessage) {
+async function analyzeUserIntent(history, userMessage, meter = null) {
     const lowerMsg = userMessage.toLowerCase();
 
     // 1. FAST PATH: REGEX CHECKS (Skip LLM)
@@ -108,7 +643,7 @@ async function analyzeUserIntent(history, userMessage) {
     }
 
     // 2. SLOW PATH: LLM ANALYSIS (For ambiguous queries)
-    const contextSlice = history.slice(-3); 
+    const contextSlice = history.slice(-3).map(m => ({ role: m.role, content: m.content }));
     const nowManila = new Date().toLocaleString("en-US", { timeZone: "Asia/Manila" });
 
     const systemPrompt = `
@@ -135,7 +670,7 @@ async function analyzeUserIntent(history, userMessage) {
     ];
 
     try {
-        const response = await callAIWithRotation(messages, ROUTER_MODEL);
+        const response = await callAIWithRotation(messages, ROUTER_MODEL, { meter });
         const jsonStr = response.replace(/```json/g, '').replace(/```/g, '').trim();
         return JSON.parse(jsonStr);
     } catch (e) {
@@ -144,563 +679,3529 @@ async function analyzeUserIntent(history, userMessage) {
     }
 }
 
-// --- HELPER 4: EXA.AI RESEARCHER ---
-async function performExaResearch(userQuery) {
-    const apiKeyRaw = process.env.EXA_API_KEY; 
-    if (!apiKeyRaw) return null;
+// --- HELPER 4: WEB SEARCH PROVIDERS ---
+// Each provider returns [{ title, url, text }]. SEARCH_PROVIDERS sets the order
+// they are tried in; unconfigured providers are skipped.
+const SEARCH_PROVIDER_ORDER = (process.env.SEARCH_PROVIDERS || 'exa,searxng')
+    .split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+const SEARCH_RESULT_COUNT = parseInt(process.env.SEARCH_RESULTS, 10) || 3;
+const SEARCH_SNIPPET_CHARS = parseInt(process.env.SEARCH_SNIPPET_CHARS, 10) || 1500;
+const SEARCH_CACHE_TTL = 3600;
+const SEARCH_TIMEOUT_MS = 10000;
 
-    const keys = apiKeyRaw.split(',').map(k => k.trim()).filter(Boolean);
-    const apiKey = keys[Math.floor(Math.random() * keys.length)];
+const SEARCH_PROVIDERS = {
+    exa: {
+        isConfigured: () => Boolean(process.env.EXA_API_KEY),
+        async search(query) {
+            const keys = process.env.EXA_API_KEY.split(',').map(k => k.trim()).filter(Boolean);
+            const apiKey = keys[Math.floor(Math.random() * keys.length)];
 
-    try {
-        const response = await fetch("https://api.exa.ai/search", {
-            method: "POST",
-            headers: { 
-                "Content-Type": "application/json",
-                "x-api-key": apiKey 
-            },
-            body: JSON.stringify({ 
-                query: userQuery,
-                useAutoprompt: true, 
-                numResults: 2, 
-                contents: { text: true } 
-            })
-        });
-        
-        if (!response.ok) return null;
+            const response = await fetch("https://api.exa.ai/search", {
+                method: "POST",
+                headers: { 
+                    "Content-Type": "application/json",
+                    "x-api-key": apiKey 
+                },
+                body: JSON.stringify({ 
+                    query,
+                    useAutoprompt: true, 
+                    numResults: SEARCH_RESULT_COUNT, 
+                    contents: { text: { maxCharacters: SEARCH_SNIPPET_CHARS } } 
+                }),
+                signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-        const data = await response.json();
-        if (!data.results || data.results.length === 0) return null;
+            const data = await response.json();
+            return (data.results || []).map(r => ({ title: r.title, url: r.url, text: r.text }));
+        }
+    },
+    searxng: {
+        // Self-hosted instance with the JSON output format enabled in settings.yml
+        isConfigured: () => Boolean(process.env.SEARXNG_URL),
+        async search(query) {
+            const url = new URL('/search', process.env.SEARXNG_URL);
+            url.searchParams.set('q', query);
+            url.searchParams.set('format', 'json');
 
-        let context = ``;
-        data.results.forEach((r, i) => {
-            const snippet = r.text ? r.text.slice(0, 1500).replace(/\s+/g, " ") : "No text.";
-            context += `[Result ${i+1}] Title: ${r.title}\nURL: ${r.url}\nContent: ${snippet}\n\n`;
-        });
-        
-        return context;
-    } catch (e) {
-        console.error("Exa Exception:", e);
-        return null;
-    }
-}
-
-// --- HELPER 5: MARKDOWN TO HTML CONVERTER ---
-function formatToHtml(text) {
-    if (!text) return "";
-    return text
-        // 1. Escape HTML reserved characters
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        // 2. Code Blocks (```code```) -> <pre>
-        .replace(/```([\s\S]*?)```/g, '<pre>$1</pre>')
-        // 3. Inline Code (`code`) -> <code>
-        .replace(/`([^`]+)`/g, '<code>$1</code>')
-        // 4. Headers (# Header) -> <b>
-        .replace(/^#{1,6}\s+(.*?)$/gm, '<b>$1</b>')
-        // 5. Bold (**Text**) -> <b>
-        .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
-        // 6. Italic (*Text*) -> <i> (Avoid matching list bullets like * Item)
-        .replace(/(?<!\*)\*([^\s*][^*]*?)\*(?!\*)/g, '<i>$1</i>');
-}
+            const response = await fetch(url, { signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS) });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-// --- MAIN HANDLER ---
-export default async function handler(req, res) {
-    const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+            const data = await response.json();
+            return (data.results || []).slice(0, SEARCH_RESULT_COUNT)
+                .map(r => ({ title: r.title, url: r.url, text: r.content }));
+        }
+    }
+};
 
-    if (req.method === 'POST') {
-        const { body } = req;
-        if (body.message && body.message.text) {
-            const chatId = body.message.chat.id;
-            const userMessage = body.message.text.trim();
-            const dbKey = `chat_history:${chatId}`;
-            const modelKey = `model_pref:${chatId}`;
-            const promptKey = `custom_prompt:${chatId}`;
+// Returns { results, provider } on success, or { results: [], error } explaining
+// why nothing came back, so callers can tell the user instead of failing silently.
+async function performWebSearch(query) {
+    const cacheKey = `search_cache:${crypto.createHash('sha256').update(query.toLowerCase()).digest('hex').slice(0, 32)}`;
+    try {
+        const cached = await kv.get(cacheKey);
+        if (cached) return cached;
+    } catch (e) {
+        console.warn("KV Search cache read failed:", e);
+    }
 
-            // Whitelist check
-            const allowed = (process.env.WHITELIST || "").split(',').map(i => i.trim());
-            if (allowed.length > 0 && !allowed.includes(chatId.toString())) {
-                return res.status(200).json({});
-            }
+    const providers = SEARCH_PROVIDER_ORDER.filter(name => SEARCH_PROVIDERS[name]?.isConfigured());
+    if (providers.length === 0) return { results: [], error: "no search provider is configured" };
 
-            // --- 1. TOKEN INJECTION HANDLER ---
-            if (userMessage.startsWith('ey') && !userMessage.includes(' ') && userMessage.length > 50) {
-                try {
-                    const currentExtras = await kv.get('extra_tokens') || [];
-                    if (currentExtras.includes(userMessage)) {
-                        await bot.sendMessage(chatId, "⚠️ Token already exists.");
-                    } else {
-                        currentExtras.push(userMessage);
-                        await kv.set('extra_tokens', currentExtras);
-                        await bot.sendMessage(chatId, `✅ <b>Token Added!</b>`, {parse_mode: 'HTML'});
-                    }
-                } catch (e) {
-                    await bot.sendMessage(chatId, `❌ Error: ${e.message}`);
-                }
-                return res.status(200).json({});
+    const errors = [];
+    for (const name of providers) {
+        try {
+            const results = (await SEARCH_PROVIDERS[name].search(query))
+                .filter(r => r.url)
+                .map(r => ({
+                    title: r.title || r.url,
+                    url: r.url,
+                    text: (r.text || '').replace(/\s+/g, ' ').slice(0, SEARCH_SNIPPET_CHARS)
+                }));
+            if (results.length === 0) {
+                errors.push(`${name}: no results`);
+                continue;
             }
-
-            // --- 2. BASIC COMMANDS & HELP ---
-            if (userMessage === '/start') {
-                await bot.sendMessage(chatId, "Ready. Type /help to see what I can do.");
-                return res.status(200).json({});
+            const found = { results, provider: name };
+            try {
+                await kv.set(cacheKey, found, { ex: SEARCH_CACHE_TTL });
+            } catch (e) {
+                console.warn("KV Search cache write failed:", e);
             }
+            return found;
+        } catch (e) {
+            console.warn(`Search provider ${name} failed:`, e.message);
+            errors.push(`${name}: ${e.message}`);
+        }
+    }
+    return { results: [], error: errors.join('; ') };
+}
 
-            if (userMessage === '/help') {
-                const helpMsg = `<b>🤖 Bot Command List</b>\n\n` +
-                    `<b>🔹 Basic</b>\n` +
-                    `/start - Check if bot is alive\n` +
-                    `/clear - Wipe chat memory\n` +
-                    `/help - Show this menu\n\n` +
+// Numbered context for the model; the numbers match formatSources().
+function formatSearchContext(results) {
+    return results.map((r, i) => `[${i + 1}] Title: ${r.title}\nURL: ${r.url}\nContent: ${r.text || "No text."}`).join('\n\n');
+}
 
-                    `<b>🧠 AI & Models</b>\n` +
-                    `/use &lt;model&gt; - Switch AI model\n` +
-                    `/reset - Revert to default model\n` +
-                    `/models - List all available models\n` +
-                    `/stat - Show current model & stats\n\n` +
+function formatSources(results) {
+    return `<b>Sources</b>\n` + results
+        .map((r, i) => `${i + 1}. <a href="${escapeHtml(r.url)}">${escapeHtml(r.title.slice(0, 80))}</a>`)
+        .join('\n');
+}
 
-                    `<b>📝 Custom Instructions</b>\n` +
-                    `/prompt set &lt;text&gt; - Set custom system behavior\n` +
-                    `/prompt - View current custom prompt\n` +
-                    `/clearprompt - Remove custom prompt\n\n` +
+// --- HELPER 4b: URL READER ---
+// Links in a message are fetched and their readable text is injected like
+// search results. Only public http(s) hosts are allowed: the check runs on the
+// addresses each connection actually dials (every redirect hop included), so
+// neither a redirect nor a DNS answer that changes between lookups can reach
+// the private network.
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const MAX_URLS_PER_MESSAGE = 2;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_PAGE_TEXT_CHARS = 12000;
+const PAGE_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
 
-                    `<b>🎨 Creative</b>\n` +
-                    `/image &lt;text&gt; - Generate an image (Flux Dev)\n\n` +
+const URL_CLOSERS = { ')': '(', ']': '[', '}': '{' };
 
-                    `<b>💳 Tokens & Balance</b>\n` +
-                    `/bal - Quick balance summary\n` +
-                    `/credits - Detailed token usage report\n` +
-                    `/prune - Auto-delete empty tokens ($0.00)\n` +
-                    `/deltoken &lt;id&gt; - Delete a specific token\n` +
-                    `<i>(Send a raw token string to add it)</i>`;
+function extractUrls(text) {
+    const found = (text || '').match(URL_PATTERN) || [];
+    // Trailing punctuation usually belongs to the sentence, not the link, except a
+    // bracket that closes one inside the URL, as in /wiki/Foo_(bar)
+    const urls = found.map(u => {
+        while (/[.,;:!?)\]}]$/.test(u)) {
+            const opener = URL_CLOSERS[u[u.length - 1]];
+            if (opener && u.split(opener).length > u.split(u[u.length - 1]).length - 1) break;
+            u = u.slice(0, -1);
+        }
+        return u;
+    });
+    return [...new Set(urls)].slice(0, MAX_URLS_PER_MESSAGE);
+}
 
-                await bot.sendMessage(chatId, helpMsg, { parse_mode: 'HTML' });
-                return res.status(200).json({});
-            }
+// The eight 16-bit groups of an IPv6 address, with any dotted IPv4 tail folded in
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(2).map(Number);
+        text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const parse = part => (part ? part.split(':').map(g => parseInt(g, 16)) : []);
+    const [head, tail] = text.split('::');
+    const left = parse(head);
+    const right = parse(tail);
+    return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
 
-            if (userMessage === '/clear') {
-                await kv.set(dbKey, []);
-                await bot.sendMessage(chatId, "✅ Memory cleared.");
-                return res.status(200).json({});
-            }
-            if (userMessage.startsWith('/use')) {
-                const newModel = userMessage.replace('/use', '').trim();
-                if (newModel) {
-                    await kv.set(modelKey, newModel);
-                    await bot.sendMessage(chatId, `✅ Switched to: <code>${newModel}</code>`, {parse_mode: 'HTML'});
-                }
-                return res.status(200).json({});
-            }
+function isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+        const g = ipv6Groups(address);
+        const embedded = (hi, lo) => isPrivateAddress(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+        // IPv4 carried inside IPv6: mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+        if (g.slice(0, 5).every(x => x === 0) && g[5] === 0xffff) return embedded(g[6], g[7]);
+        if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) return embedded(g[6], g[7]);
+        if (g[0] === 0x2002) return embedded(g[1], g[2]);
+        if (g.slice(0, 7).every(x => x === 0) && g[7] <= 1) return true;   // :: and ::1
+        return (g[0] & 0xfe00) === 0xfc00 ||   // fc00::/7 unique local
+            (g[0] & 0xff80) === 0xfe80 ||      // fe80::/10 link-local and fec0::/10 site-local
+            (g[0] & 0xff00) === 0xff00;        // ff00::/8 multicast
+    }
+    const [a, b, c] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 0 && c === 0) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19));
+}
 
-            if (userMessage === '/reset') {
-                await kv.del(modelKey);
-                await bot.sendMessage(chatId, `🔄 Reverted to the default model: <code>${DEFAULT_MODEL}</code>`, {parse_mode: 'HTML'});
-                return res.status(200).json({});
-            }
+// Hostnames are vetted by the dispatcher's lookup below; this catches what never
+// reaches a lookup (IP literals) and names that are private by definition
+function assertPublicUrl(url) {
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`unsupported protocol ${url.protocol}`);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+        throw new Error("private address");
+    }
+    if (net.isIP(host) && isPrivateAddress(host)) throw new Error("private address");
+}
 
-            // --- 3. PROMPT MANAGEMENT ---
-            
-            // VIEW: Handle exactly "/prompt"
-            if (userMessage === '/prompt') {
-                const current = await kv.get(promptKey);
-                if (current) {
-                    await bot.sendMessage(chatId, `<b>📜 Current Custom Prompt:</b>\n\n<code>${formatToHtml(current)}</code>`, { parse_mode: 'HTML' });
-                } else {
-                    await bot.sendMessage(chatId, "System Prompt is default.");
-                }
-                return res.status(200).json({});
-            }
+// dns.lookup-compatible resolver that refuses the whole answer if any address
+// is private, so the socket only ever connects to addresses that passed
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+            return callback(new Error("private address"));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
 
-            // SET: Handle "/prompt set <text>"
-            if (userMessage.startsWith('/prompt set')) {
-                // Strip the command part to get the arguments
-                const input = userMessage.replace(/^\/prompt\s+set/i, '').trim();
+const PUBLIC_ONLY_DISPATCHER = new undici.Agent({ connect: { lookup: publicLookup } });
 
-                if (!input) {
-                    await bot.sendMessage(chatId, "Prompt is empty and null.");
-                } else {
-                    await kv.set(promptKey, input);
-                    await bot.sendMessage(chatId, `✅ <b>Custom Prompt Set!</b>\n\nIt will be appended to the system instructions.`, { parse_mode: 'HTML' });
-                }
-                return res.status(200).json({});
-            }
+// Reads at most MAX_PAGE_BYTES and drops the rest of the body.
+async function readCapped(response) {
+    const reader = response.body.getReader();
+    const parts = [];
+    let size = 0;
+    while (size < MAX_PAGE_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        size += value.length;
+    }
+    await reader.cancel().catch(() => {});
+    return Buffer.concat(parts).subarray(0, MAX_PAGE_BYTES).toString('utf8');
+}
 
-            // CLEAR: Handle "/clearprompt"
-            if (userMessage === '/clearprompt') {
-                await kv.del(promptKey);
-                await bot.sendMessage(chatId, "🔄 <b>Custom prompt cleared.</b> Reverted to global defaults.", { parse_mode: 'HTML' });
-                return res.status(200).json({});
-            }
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
 
-            // --- 4. STATS & CLEANUP ---
-            if (userMessage === '/stat') {
-                try {
-                    await bot.sendChatAction(chatId, 'typing');
-                    const storedModel = await kv.get(modelKey);
-                    const currentModel = storedModel || DEFAULT_MODEL;
-                    const history = await kv.get(dbKey) || [];
-                    const tokens = await getAllTokens();
-                    const customPrompt = await kv.get(promptKey);
-
-                    let statMsg = `<b>ℹ️ System Status</b>\n\n` +
-                                    `• <b>Current Model:</b> <code>${currentModel}</code> ${storedModel ? '(User Set)' : '(Default)'}\n` +
-                                    `• <b>Memory Depth:</b> <code>${history.length}</code> messages\n` +
-                                    `• <b>Active Tokens:</b> <code>${tokens.length}</code>\n` +
-                                    `• <b>Router Model:</b> <code>${ROUTER_MODEL}</code>`;
-                    
-                    if (customPrompt) statMsg += `\n• <b>Custom Prompt:</b> Active ✅`;
-
-                    await bot.sendMessage(chatId, statMsg, {parse_mode: 'HTML'});
-                } catch (e) {
-                    await bot.sendMessage(chatId, `⚠️ Error fetching stats: ${e.message}`);
-                }
-                return res.status(200).json({});
-            }
+function extractReadableText(html) {
+    const title = decodeEntities((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '').trim();
 
-            if (userMessage === '/cleartokens') {
-                await kv.set('extra_tokens', []);
-                await bot.sendMessage(chatId, "🗑️ Database tokens cleared.");
-                return res.status(200).json({});
-            }
+    let body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|svg|template|iframe|form)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<(nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, '');
 
-            // --- NEW: PRUNE COMMAND ---
-            if (userMessage === '/prune') {
-                await bot.sendChatAction(chatId, 'typing');
-                const dynamicTokens = await kv.get('extra_tokens') || [];
+    // Prefer the page's main content when it marks one
+    const main = body.match(/<article\b[\s\S]*<\/article>/i) || body.match(/<main\b[\s\S]*<\/main>/i);
+    if (main) body = main[0];
 
-                if (dynamicTokens.length === 0) {
-                    await bot.sendMessage(chatId, "ℹ️ No database tokens to prune.");
-                    return res.status(200).json({});
-                }
+    const text = decodeEntities(body
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n• ')
+        .replace(/<\/(p|div|section|h[1-6]|tr|pre|blockquote|table|ul|ol)>/gi, '\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t\f\v ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
 
-                await bot.sendMessage(chatId, `⏳ <b>Checking ${dynamicTokens.length} tokens...</b>`, {parse_mode: 'HTML'});
+    return { title, text };
+}
 
-                // Parallel check for speed
-                const results = await Promise.all(dynamicTokens.map(async (token) => {
-                    try {
-                        const puter = init(token);
-                        const usage = await puter.auth.getMonthlyUsage();
-                        const remaining = usage?.allowanceInfo?.remaining;
-                        // Return null if balance is 0 or less
-                        if (typeof remaining === 'number' && remaining <= 0) return null;
-                        return token;
-                    } catch (e) {
-                        // If check fails (network/auth), keep token to be safe
-                        return token;
-                    }
-                }));
+// Returns { url, title, text } or throws with a reason fit to show the user.
+async function fetchPageText(rawUrl) {
+    let url = new URL(rawUrl);
+    let response;
+    for (let hop = 0; ; hop++) {
+        assertPublicUrl(url);
+        try {
+            response = await undici.fetch(url, {
+                redirect: 'manual',
+                dispatcher: PUBLIC_ONLY_DISPATCHER,
+                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; TelegramBot link reader)', 'Accept': 'text/html,text/plain;q=0.9,*/*;q=0.1' },
+                signal: AbortSignal.timeout(PAGE_TIMEOUT_MS)
+            });
+        } catch (e) {
+            // undici reports connect failures as "fetch failed"; surface the lookup's reason
+            throw e.cause?.message === "private address" ? e.cause : e;
+        }
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) break;
+        if (hop >= MAX_REDIRECTS) throw new Error("too many redirects");
+        url = new URL(location, url);
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-                const keptTokens = results.filter(t => t !== null);
-                const removedCount = dynamicTokens.length - keptTokens.length;
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > MAX_PAGE_BYTES * 4) throw new Error("page too large");
 
-                if (removedCount > 0) {
-                    await kv.set('extra_tokens', keptTokens);
-                    await bot.sendMessage(chatId, `✂️ <b>Prune Complete!</b>\n\n🗑️ Deleted: <code>${removedCount}</code> empty tokens.\n✅ Remaining: <code>${keptTokens.length}</code> valid tokens.`, {parse_mode: 'HTML'});
-                } else {
-                    await bot.sendMessage(chatId, "✅ <b>No empty tokens found.</b>");
-                }
-                return res.status(200).json({});
-            }
+    const type = (response.headers.get('content-type') || '').toLowerCase();
+    const raw = await readCapped(response);
+    let page;
+    if (type.includes('html') || (!type && /<html[\s>]/i.test(raw))) {
+        page = extractReadableText(raw);
+    } else if (!type || type.startsWith('text/') || type.includes('json') || type.includes('xml')) {
+        page = { title: '', text: raw.trim() };
+    } else {
+        throw new Error(`unsupported content type ${type.split(';')[0]}`);
+    }
+    if (!page.text) throw new Error("no readable text");
 
-            // --- 5. MANUAL TOKEN DELETION ---
-            if (userMessage.startsWith('/deltoken') || userMessage.startsWith('/deltokens')) {
-                const args = userMessage.replace(/^\/deltokens?/, '').trim();
-                const indices = args.split(/[\s,]+/).map(n => parseInt(n.trim())).filter(n => !isNaN(n));
+    return { url: url.href, title: page.title || url.hostname, text: page.text.slice(0, MAX_PAGE_TEXT_CHARS) };
+}
 
-                if (indices.length === 0) {
-                    await bot.sendMessage(chatId, "⚠️ Usage: <code>/deltoken 1</code> or <code>/deltokens 1, 2, 3</code>", {parse_mode: 'HTML'});
-                    return res.status(200).json({});
-                }
+// --- HELPER 5: TELEGRAM HTML (lib/telegram-html.js) ---
+// `lastOptions` (e.g. an inline keyboard) only goes on the final chunk.
+// Returns the id of the last message, the one that carries lastOptions
+async function sendHtmlChunks(bot, chatId, chunks, lastOptions = {}) {
+    let sent = null;
+    for (let i = 0; i < chunks.length; i++) {
+        const extra = i === chunks.length - 1 ? lastOptions : {};
+        try {
+            sent = await bot.sendMessage(chatId, chunks[i], { parse_mode: 'HTML', ...extra });
+        } catch (e) {
+            sent = await bot.sendMessage(chatId, htmlToPlain(chunks[i]), extra);
+        }
+    }
+    return sent?.message_id;
+}
 
-                const rawStatic = process.env.PUTER_AUTH_TOKEN || "";
-                const staticTokens = rawStatic.split(',').map(t => t.trim()).filter(Boolean);
-                let dynamicTokens = await kv.get('extra_tokens') || [];
-                const combined = [...new Set([...staticTokens, ...dynamicTokens])];
+// --- HELPER 6: ACCESS CONTROL (WHITELIST + ROLES) ---
+// Roles: 'admin' (everything) and 'user' (chat, /image, /prompt, model switching).
+// ENV admins/whitelist are fixed; /grant and /revoke manage the KV 'user_roles' map.
+function parseIdList(raw) {
+    return (raw || "").split(',').map(i => i.trim()).filter(i => i.length > 0);
+}
 
-                const tokensToDelete = [];
-                const errors = [];
+async function getUserRole(userId, chatId) {
+    const admins = parseIdList(process.env.ADMINS);
+    const whitelist = parseIdList(process.env.WHITELIST);
 
-                for (const idx of indices) {
-                    const targetIndex = idx - 1;
-                    if (targetIndex < 0 || targetIndex >= combined.length) {
-                        errors.push(`#${idx} (Not found)`);
-                        continue;
-                    }
-                    const tokenStr = combined[targetIndex];
-                    if (staticTokens.includes(tokenStr)) {
-                        errors.push(`#${idx} (ENV var)`);
-                        continue;
-                    }
-                    tokensToDelete.push(tokenStr);
-                }
+    let kvRoles = {};
+    try {
+        kvRoles = await kv.get('user_roles') || {};
+    } catch (e) {
+        console.warn("KV Role fetch failed:", e);
+    }
 
-                if (tokensToDelete.length > 0) {
-                    const newDynamic = dynamicTokens.filter(t => !tokensToDelete.includes(t));
-                    await kv.set('extra_tokens', newDynamic);
-                    let msg = `✅ <b>Deleted ${tokensToDelete.length} token(s).</b>`;
-                    if (errors.length > 0) msg += `\n\n⚠️ Skipped:\n${errors.join('\n')}`;
-                    await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
-                } else {
-                    await bot.sendMessage(chatId, `⚠️ No tokens deleted.\nReason: ${errors.join(', ')}`);
-                }
-                return res.status(200).json({});
+    const uid = String(userId);
+    const cid = String(chatId);
+    if (admins.includes(uid) || kvRoles[uid] === 'admin') return 'admin';
+    if (kvRoles[uid] === 'user' || kvRoles[cid] === 'user') return 'user';
+
+    // Empty WHITELIST means "no public access": only admins and granted users get in.
+    if (whitelist.includes(cid) || whitelist.includes(uid)) return 'user';
+    return null;
+}
+
+// --- HELPER 7: VISION (PHOTOS & IMAGE DOCUMENTS) ---
+// Images are stored in history by Telegram file_id and re-downloaded per call,
+// so KV only holds a small reference instead of the base64 payload.
+const VISION_MODEL_PATTERNS = [
+    /claude/i, /gpt-4o/i, /gpt-4\.1/i, /gpt-5/i, /gemini/i, /grok-4/i,
+    /vision/i, /pixtral/i, /-vl\b/i, /llava/i
+];
+const MAX_HISTORY_IMAGES = 3;      // Older images are replaced by a text placeholder
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+function supportsVision(modelId) {
+    return VISION_MODEL_PATTERNS.some(regex => regex.test(modelId));
+}
+
+function extractImageRef(message) {
+    if (Array.isArray(message.photo) && message.photo.length > 0) {
+        // Telegram sends several sizes, largest last
+        const largest = message.photo[message.photo.length - 1];
+        return { fileId: largest.file_id, mime: 'image/jpeg', size: largest.file_size || 0 };
+    }
+    const doc = message.document;
+    if (doc && (doc.mime_type || '').startsWith('image/')) {
+        return { fileId: doc.file_id, mime: doc.mime_type, size: doc.file_size || 0 };
+    }
+    return null;
+}
+
+async function downloadTelegramFile(bot, fileId) {
+    const link = await bot.getFileLink(fileId);
+    const response = await fetch(link);
+    if (!response.ok) throw new Error(`File download failed (${response.status})`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// Turns stored history into model messages, inlining the most recent images.
+async function buildModelMessages(bot, history) {
+    let imagesLeft = MAX_HISTORY_IMAGES;
+    const messages = [];
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        const { role, content, image } = history[i];
+        if (!image) {
+            messages.unshift({ role, content });
+            continue;
+        }
+
+        let imageUrl = null;
+        if (imagesLeft > 0) {
+            imagesLeft--;
+            try {
+                const buffer = await downloadTelegramFile(bot, image.fileId);
+                imageUrl = `data:${image.mime};base64,${buffer.toString('base64')}`;
+            } catch (e) {
+                console.warn(`Image ${image.fileId} could not be loaded: ${e.message}`);
+            }
+        }
+
+        messages.unshift(imageUrl
+            ? { role, content: [{ type: 'text', text: content }, { type: 'image_url', image_url: { url: imageUrl } }] }
+            : { role, content: `[Image shared earlier]\n${content}` });
+    }
+    return messages;
+}
+
+// --- HELPER 8: VOICE (SPEECH-TO-TEXT & TEXT-TO-SPEECH) ---
+const MAX_AUDIO_BYTES = 20 * 1024 * 1024; // Telegram getFile download limit
+const MAX_TTS_CHARS = 2900;                // Puter TTS rejects 3000+ characters
+
+function extractAudioRef(message) {
+    const audio = message.voice || message.audio;
+    if (!audio) return null;
+    return { fileId: audio.file_id, mime: audio.mime_type || 'audio/ogg', size: audio.file_size || 0 };
+}
+
+async function transcribeAudio(buffer, mime) {
+    const dataUri = `data:${mime};base64,${buffer.toString('base64')}`;
+    return runWithTokenRotation('speech2txt', async (puter) => {
+        const result = await puter.ai.speech2txt(dataUri);
+        const text = (typeof result === 'string' ? result : result?.text || '').trim();
+        if (!text) throw new Error("Empty transcript");
+        return text;
+    });
+}
+
+async function synthesizeSpeech(text) {
+    // Read the answer, not the markup
+    const plain = text
+        .replace(/```[\s\S]*?```/g, ' (code omitted) ')
+        .replace(/[*_`#>]/g, '')
+        .slice(0, MAX_TTS_CHARS);
+
+    return runWithTokenRotation('txt2speech', async (puter) => {
+        const audio = await puter.ai.txt2speech(plain);
+        const src = audio?.src || audio;
+        if (typeof src !== 'string') throw new Error(`Invalid response type: ${typeof src}`);
+        if (src.startsWith('data:')) return Buffer.from(src.split(',')[1], 'base64');
+        const response = await fetch(src);
+        if (!response.ok) throw new Error(`Audio download failed (${response.status})`);
+        return Buffer.from(await response.arrayBuffer());
+    });
+}
+
+async function sendSpeech(bot, chatId, text) {
+    const voice = await synthesizeSpeech(text);
+    await bot.sendVoice(chatId, voice, {}, { filename: 'reply.mp3', contentType: 'audio/mpeg' });
+}
+
+// --- HELPER 9: STREAMED REPLIES (PROGRESSIVE EDITS) ---
+const STREAM_EDIT_INTERVAL_MS = 1500; // Telegram throttles frequent edits per chat
+
+async function streamAIWithRotation(messages, modelId, onText, options = {}) {
+    return runWithTokenRotation(`${modelId} (stream)`, async (puter, token) => {
+        const stream = await puter.ai.chat(messages, { model: modelId, stream: true, ...chatCallOptions(options.settings, modelId) });
+        let text = "";
+        let reasoning = "";
+        let reported = null;
+        for await (const part of stream) {
+            if (part?.type === 'error') throw new Error(part.message || "Stream error");
+            if (part?.type === 'usage') reported = part.usage;
+            if (part?.type === 'reasoning' && part.reasoning) reasoning += part.reasoning;
+            if (part?.type && part.type !== 'text') continue;
+            if (!part?.text) continue;
+            text += part.text;
+            await onText(text);
+        }
+        text = text.trim();
+        if (!text) throw new Error("Empty response");
+        if (text.length < 150 && /usage limit|quota|insufficient credit|out of credits|rate limit/i.test(text)) {
+            throw new Error(`Quota exceeded: ${text}`);
+        }
+
+        const { input, output, cost } = estimateChatCost(modelId, messages, text, reported);
+        await recordUsage(options.meter, { kind: 'chat', model: modelId, token, cost, input, output });
+        if (options.onReasoning && reasoning.trim()) options.onReasoning(reasoning.trim());
+        return text;
+    });
+}
+
+// A reply that grows in place. update() always receives the full text so far,
+// so a token retry that restarts the stream simply overwrites what was shown.
+async function createLiveMessage(bot, chatId) {
+    const placeholder = await bot.sendMessage(chatId, "✍️ ...");
+    const messageIds = [placeholder.message_id];
+    const shown = [];
+    let lastEdit = 0;
+
+    const render = async (chunks, options = {}) => {
+        for (let i = 0; i < chunks.length; i++) {
+            if (shown[i] === chunks[i]) continue;
+            if (i < messageIds.length) {
+                try {
+                    await bot.editMessageText(chunks[i], { chat_id: chatId, message_id: messageIds[i], ...options });
+                } catch (e) {
+                    if (!options.parse_mode) throw e;
+                    await bot.editMessageText(htmlToPlain(chunks[i]), { chat_id: chatId, message_id: messageIds[i] });
+                }
+            } else {
+                // Rolled past 4000 chars: continue in a new message
+                const sent = await bot.sendMessage(chatId, chunks[i], options);
+                messageIds.push(sent.message_id);
+            }
+            shown[i] = chunks[i];
+        }
+        // The text got shorter (e.g. a retry): drop surplus messages
+        while (messageIds.length > Math.max(chunks.length, 1)) {
+            await bot.deleteMessage(chatId, messageIds.pop()).catch(() => {});
+            shown.pop();
+        }
+    };
+
+    return {
+        update: async (text) => {
+            const now = Date.now();
+            if (now - lastEdit < STREAM_EDIT_INTERVAL_MS) return;
+            lastEdit = now;
+            try {
+                await render(splitForTelegram(text + " ▌"));
+            } catch (e) {
+                console.warn(`Stream edit skipped:`, e.message);
+            }
+        },
+        // Returns the id of the last message, the one that carries replyMarkup
+        finish: async (htmlChunks, replyMarkup) => {
+            await render(htmlChunks, { parse_mode: 'HTML' });
+            const lastId = messageIds[messageIds.length - 1];
+            if (replyMarkup) {
+                await bot.editMessageReplyMarkup(replyMarkup, { chat_id: chatId, message_id: lastId }).catch(() => {});
+            }
+            return lastId;
+        },
+        discard: async () => {
+            for (const id of messageIds) {
+                await bot.deleteMessage(chatId, id).catch(() => {});
+            }
+        }
+    };
+}
+
+// --- HELPER 10: ROLLING SUMMARY MEMORY ---
+// Instead of dropping turns past the window, older turns are folded into a
+// running summary (chat_summary:<chatId>) that is always sent as system context.
+const MEMORY_CHAR_BUDGET = 12000;  // Compact once stored history passes this size...
+const MEMORY_MAX_TURNS = 30;       // ...or this many messages
+const MEMORY_KEEP_RECENT = 8;      // Messages kept verbatim after compaction
+const MAX_SUMMARY_CHARS = 3000;
+
+function historyChars(history) {
+    return history.reduce((sum, m) => sum + (typeof m.content === 'string' ? m.content.length : 0), 0);
+}
+
+function needsCompaction(history) {
+    return history.length > MEMORY_MAX_TURNS || historyChars(history) > MEMORY_CHAR_BUDGET;
+}
+
+async function summarizeTurns(previousSummary, turns, meter = null) {
+    const transcript = turns.map(m => {
+        // Hidden search markers are bookkeeping, not conversation
+        const text = String(m.content).replace(/(\n\n\[(Search Query|Read Pages): [^\]]*\]\n?)+$/, '');
+        return `${m.role.toUpperCase()}${m.image ? ' [sent an image]' : ''}: ${text}`;
+    }).join('\n\n');
+
+    const messages = [
+        {
+            role: "system",
+            content: `You maintain the long-term memory of a chat. Merge the existing summary and the new transcript into one updated summary.
+Keep facts, decisions, names, numbers, code identifiers and open questions. Drop greetings and filler.
+Write compact bullet points, under ${MAX_SUMMARY_CHARS} characters. Output only the summary.`
+        },
+        { role: "user", content: `[Existing Summary]:\n${previousSummary || '(none)'}\n\n[New Transcript]:\n${transcript}` }
+    ];
+    const summary = await callAIWithRotation(messages, SUMMARY_MODEL, { meter });
+    return summary.slice(0, MAX_SUMMARY_CHARS);
+}
+
+// Returns the trimmed history; the summary is updated in KV as a side effect.
+async function compactHistory(summaryKey, history, meter = null) {
+    const older = history.slice(0, -MEMORY_KEEP_RECENT);
+    const recent = history.slice(-MEMORY_KEEP_RECENT);
+    if (older.length === 0) return history;
+
+    try {
+        const previous = await kv.get(summaryKey);
+        const summary = await summarizeTurns(previous, older, meter);
+        await kv.set(summaryKey, summary);
+        return recent;
+    } catch (e) {
+        console.warn("Summarization failed, truncating instead:", e.message);
+        return history.slice(-20);
+    }
+}
+
+// --- HELPER 11: NAMED THREADS ---
+// threads:<chatId> holds { active, names }. The "default" thread keeps the original
+// un-suffixed keys (chat_history:<chatId> etc.), so pre-thread data becomes the
+// default thread as-is; other threads use <chatId>:<name>.
+const DEFAULT_THREAD = 'default';
+const THREAD_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_THREADS = 20;
+
+function threadScope(convoId, name) {
+    return name === DEFAULT_THREAD ? `${convoId}` : `${convoId}:${name}`;
+}
+
+async function loadThreads(threadsKey) {
+    const stored = await kv.get(threadsKey);
+    if (stored && Array.isArray(stored.names) && stored.names.includes(stored.active)) return stored;
+
+    // First use: register the existing single history as the default thread
+    const initial = { active: DEFAULT_THREAD, names: [DEFAULT_THREAD] };
+    await kv.set(threadsKey, initial);
+    return initial;
+}
+
+async function deleteThreadData(convoId, name) {
+    const scope = threadScope(convoId, name);
+    await kv.del(`chat_history:${scope}`, `model_pref:${scope}`, `custom_prompt:${scope}`, `chat_summary:${scope}`, `persona:${scope}`);
+}
+
+// --- HELPER 11b: PERSONAS ---
+// A persona is a named { prompt, model, settings } preset. Chats keep their own in
+// personas:<convoId>; admins publish shared ones to global_personas. The active
+// one is persona:<thread scope> = { name, global }, looked up live on each turn,
+// so a republished persona reaches every thread using it. Its prompt stands in
+// for the /prompt instructions; its model and settings apply unless /use or
+// /set override them.
+const GLOBAL_PERSONAS_KEY = 'global_personas';
+const PERSONA_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_PERSONAS = 20;
+
+async function loadPersonas(personasKey) {
+    const [own, shared] = await kv.mget(personasKey, GLOBAL_PERSONAS_KEY);
+    return { own: own || {}, shared: shared || {} };
+}
+
+// The thread's active persona as { name, global, prompt, model }, or null if none
+// is set or it has since been deleted.
+async function loadActivePersona(keys) {
+    const active = await kv.get(keys.personaKey);
+    if (!active) return null;
+    const personas = await kv.get(active.global ? GLOBAL_PERSONAS_KEY : keys.personasKey) || {};
+    const persona = personas[active.name];
+    return persona ? { ...persona, name: active.name, global: Boolean(active.global) } : null;
+}
+
+// Chat model for a thread: /use choice, then the persona's, then the default.
+async function resolveChatModel(keys, persona) {
+    return await kv.get(keys.modelKey) || persona?.model || DEFAULT_MODEL;
+}
+
+// --- HELPER 12: HISTORY EXPORT & IMPORT ---
+const EXPORT_FORMAT = 'putertg-history';
+const MAX_IMPORT_BYTES = 512 * 1024;
+const MAX_IMPORT_MESSAGES = 100;
+const MAX_IMPORT_CHARS = 200000;
+
+function formatTimestamp(ts) {
+    if (!ts) return "";
+    return new Date(ts).toLocaleString("en-US", { timeZone: "Asia/Manila", dateStyle: "medium", timeStyle: "short" });
+}
+
+function historyToMarkdown(history, meta) {
+    let md = `# Conversation Export\n\n`;
+    md += `- Chat: ${meta.chatId}\n- Thread: ${meta.thread}\n- Exported: ${formatTimestamp(meta.exportedAt)} (Asia/Manila)\n`;
+    if (meta.summary) md += `\n## Summary of Earlier Messages\n\n${meta.summary}\n`;
+    md += `\n---\n`;
+
+    history.forEach(m => {
+        const who = m.role === 'user' ? '👤 User' : `🤖 Assistant${m.model ? ` (${m.model})` : ''}`;
+        const when = m.ts ? ` · ${formatTimestamp(m.ts)}` : '';
+        const text = String(m.content).replace(/(\n\n\[(Search Query|Read Pages): [^\]]*\]\n?)+$/, '');
+        md += `\n### ${who}${when}\n\n`;
+        if (m.image) md += `_[Image attached]_\n\n`;
+        md += `${text}\n`;
+        if (m.searchQuery) md += `\n_Web search: ${m.searchQuery}_\n`;
+    });
+    return md;
+}
+
+function historyToJson(history, meta) {
+    return JSON.stringify({ format: EXPORT_FORMAT, version: 1, ...meta, messages: history }, null, 2);
+}
+
+// Returns { history, summary } or throws with a user-facing reason.
+function parseImportedHistory(raw) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (e) {
+        throw new Error("File is not valid JSON.");
+    }
+
+    // Accept our own export wrapper or a bare message array
+    const messages = Array.isArray(data) ? data : data?.messages;
+    if (!Array.isArray(messages)) throw new Error("Expected a \"messages\" array.");
+    if (messages.length > MAX_IMPORT_MESSAGES) throw new Error(`Too many messages (max ${MAX_IMPORT_MESSAGES}).`);
+
+    let totalChars = 0;
+    const history = messages.map((m, i) => {
+        if (!m || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string') {
+            throw new Error(`Message #${i + 1} needs a "role" (user/assistant) and string "content".`);
+        }
+        totalChars += m.content.length;
+
+        const entry = { role: m.role, content: m.content };
+        if (typeof m.ts === 'number') entry.ts = m.ts;
+        if (typeof m.model === 'string') entry.model = m.model;
+        if (typeof m.searchQuery === 'string') entry.searchQuery = m.searchQuery;
+        if (m.image && typeof m.image.fileId === 'string' && typeof m.image.mime === 'string') {
+            entry.image = { fileId: m.image.fileId, mime: m.image.mime };
+        }
+        return entry;
+    });
+    if (totalChars > MAX_IMPORT_CHARS) throw new Error(`Conversation is too long (max ${MAX_IMPORT_CHARS} characters).`);
+
+    const summary = typeof data?.summary === 'string' ? data.summary.slice(0, MAX_SUMMARY_CHARS) : null;
+    return { history, summary };
+}
+
+// --- HELPER 13: GROUPS & FORUM TOPICS ---
+// In groups the bot only answers when mentioned, replied to, or given a command
+// (unless a group admin sets mode "all"). History is kept per topic, optionally per user.
+let botIdentity = null;
+
+async function getBotIdentity(bot) {
+    if (!botIdentity) botIdentity = await bot.getMe();
+    return botIdentity;
+}
+
+// Conversation id used for per-chat KV keys. "/" can't appear in thread names,
+// so these never collide with named-thread keys. Private chats keep the bare chat id.
+function conversationId(message, groupSettings) {
+    let id = `${message.chat.id}`;
+    if (message.is_topic_message && message.message_thread_id) id += `/t${message.message_thread_id}`;
+    if (groupSettings && groupSettings.history === 'user' && message.from) id += `/u${message.from.id}`;
+    return id;
+}
+
+// Wraps the bot so every send lands in the forum topic the update came from.
+const THREAD_OPTION_INDEX = {
+    sendMessage: 2, sendPhoto: 2, sendVoice: 2, sendDocument: 2,
+    sendChatAction: 2, sendMediaGroup: 2
+};
+
+function bindToTopic(bot, messageThreadId) {
+    if (!messageThreadId) return bot;
+    return new Proxy(bot, {
+        get(target, prop) {
+            const value = target[prop];
+            if (typeof value !== 'function') return value;
+            if (!(prop in THREAD_OPTION_INDEX)) return value.bind(target);
+            return (...args) => {
+                const i = THREAD_OPTION_INDEX[prop];
+                args[i] = { ...(args[i] || {}), message_thread_id: messageThreadId };
+                return value.apply(target, args);
+            };
+        }
+    });
+}
+
+async function isGroupAdmin(bot, chatId, userId) {
+    try {
+        const member = await bot.getChatMember(chatId, userId);
+        return ['creator', 'administrator'].includes(member.status);
+    } catch (e) {
+        console.warn("Admin check failed:", e.message);
+        return false;
+    }
+}
+
+// --- HELPER 14: CHAT TURN PIPELINE ---
+// Intent routing, context building, the model call, saving and replying.
+// Shared by typed messages and the Regenerate / Continue buttons.
+const CHAT_REPLY_KEYBOARD = {
+    inline_keyboard: [[
+        { text: '🔄 Regenerate', callback_data: 'chat:regen' },
+        { text: '➡️ Continue', callback_data: 'chat:cont' },
+        { text: '🤖 Model', callback_data: 'mp:0' }
+    ]]
+};
+
+// Per-conversation KV keys; history, summary, model and prompt follow the active thread.
+async function loadChatKeys(convoId) {
+    const threadsKey = `threads:${convoId}`;
+    const threads = await loadThreads(threadsKey);
+    const scope = threadScope(convoId, threads.active);
+    return {
+        convoId,
+        threads,
+        threadsKey,
+        dbKey: `chat_history:${scope}`,
+        modelKey: `model_pref:${scope}`,
+        promptKey: `custom_prompt:${scope}`,
+        personaKey: `persona:${scope}`,
+        personasKey: `personas:${convoId}`,
+        summaryKey: `chat_summary:${scope}`,
+        speakKey: `speak_pref:${convoId}`,
+        streamKey: `stream_pref:${convoId}`,
+        fallbackKey: `fallback_models:${convoId}`,
+        settingsKey: `settings:${convoId}`,
+        imageModelKey: `image_model:${convoId}`,
+        memoryModeKey: `memory_mode:${convoId}`,
+        docsKey: `docs:${convoId}`,
+        lockName: `chat:${scope}`,
+        queueKey: `chat_queue:${scope}`
+    };
+}
+
+// Only one turn per thread runs at a time, since each one rewrites the whole
+// history. Messages that arrive meanwhile are queued, and the running
+// invocation answers them when it's done, merging back-to-back plain texts
+// from the same person into a single turn.
+// Should exceed the function's max duration; a crashed turn frees the chat after this
+const CHAT_LOCK_TTL_MS = (parseInt(process.env.CHAT_LOCK_SECONDS, 10) || 120) * 1000;
+// Commands that rewrite history wait out a turn in progress rather than failing as busy
+const CHAT_EDIT_LOCK = { waitMs: CHAT_LOCK_TTL_MS };
+const CHAT_QUEUE_TTL = 10 * 60;
+const MAX_QUEUED_MESSAGES = 5;
+
+function mergeQueuedTurns(items) {
+    const turns = [];
+    for (const item of items) {
+        const previous = turns[turns.length - 1];
+        const plain = !item.imageRef && !item.options?.searchQuery && !item.options?.regenerate;
+        if (plain && previous?.plain && previous.options?.userId === item.options?.userId) {
+            previous.userMessage += `\n\n${item.userMessage}`;
+        } else {
+            turns.push({ ...item, plain });
+        }
+    }
+    return turns;
+}
+
+// options.searchQuery forces a web search for that query and skips the router.
+// options.regenerate replays the last user turn instead of userMessage.
+// options.userId is who asked, for usage accounting.
+async function runChatTurn(bot, chatId, keys, userMessage, imageRef = null, options = {}) {
+    const owner = await acquireLock(keys.lockName, CHAT_LOCK_TTL_MS);
+    if (owner) {
+        try {
+            await answerChatTurn(bot, chatId, keys, userMessage, imageRef, options);
+        } catch (e) {
+            await releaseLock(keys.lockName, owner);
+            throw e;
+        }
+        return drainChatQueue(bot, chatId, keys, owner);
+    }
+
+    const item = { userMessage, imageRef, options };
+    const queued = await kv.rpush(keys.queueKey, item);
+    await kv.expire(keys.queueKey, CHAT_QUEUE_TTL);
+    if (queued > MAX_QUEUED_MESSAGES) {
+        // Take back this exact item; the tail may already hold someone else's
+        await kv.lrem(keys.queueKey, -1, item);
+        await bot.sendMessage(chatId, "⏳ Still working on earlier messages. Please wait for those replies, then send this again.");
+        return;
+    }
+    // The running turn may have released the lock after its last look at the
+    // queue, in which case nobody else will answer this: take over if it's free
+    const lateOwner = await acquireLock(keys.lockName, CHAT_LOCK_TTL_MS);
+    if (lateOwner) return drainChatQueue(bot, chatId, keys, lateOwner);
+    await bot.sendMessage(chatId, "📥 Still answering your previous message. I'll get to this one right after.");
+}
+
+// Answers queued messages while holding the chat lock, then releases it. If the
+// lock was lost (a turn outlived CHAT_LOCK_TTL_MS), the unanswered turns go back
+// to the front of the queue for whoever holds it now.
+async function drainChatQueue(bot, chatId, keys, owner) {
+    try {
+        while (owner) {
+            const items = [];
+            for (let item = await kv.lpop(keys.queueKey); item; item = await kv.lpop(keys.queueKey)) items.push(item);
+            if (items.length === 0) break;
+            const turns = mergeQueuedTurns(items);
+            for (let i = 0; i < turns.length; i++) {
+                if (!(await refreshLock(keys.lockName, owner, CHAT_LOCK_TTL_MS))) {
+                    const unanswered = turns.slice(i).map(({ userMessage, imageRef, options }) => ({ userMessage, imageRef, options }));
+                    await kv.lpush(keys.queueKey, ...unanswered.reverse());
+                    // The new holder may already be done; if so the lock is free and these are ours again
+                    owner = await acquireLock(keys.lockName, CHAT_LOCK_TTL_MS);
+                    break;
+                }
+                await bot.sendChatAction(chatId, 'typing');
+                await answerChatTurn(bot, chatId, keys, turns[i].userMessage, turns[i].imageRef, turns[i].options);
+            }
+        }
+    } finally {
+        if (owner) await releaseLock(keys.lockName, owner);
+    }
+    if (!owner) return;
+
+    // Something queued between the last check and the release: drain it if the
+    // lock is still free, else leave it at the front for whoever took the lock
+    const [straggler] = await kv.lrange(keys.queueKey, 0, 0);
+    if (!straggler) return;
+    const nextOwner = await acquireLock(keys.lockName, CHAT_LOCK_TTL_MS);
+    if (nextOwner) await drainChatQueue(bot, chatId, keys, nextOwner);
+}
+
+async function answerChatTurn(bot, chatId, keys, userMessage, imageRef = null, options = {}) {
+    const { dbKey, promptKey, summaryKey, speakKey, streamKey, fallbackKey, memoryModeKey } = keys;
+    const meter = { chatId, userId: options.userId };
+
+    try {
+        const budget = await checkBudget(chatId);
+        if (budget?.exceeded && budget.action === 'block') {
+            const limit = budget.exceeded === 'daily' ? budget.daily : budget.monthly;
+            await bot.sendMessage(chatId, `💸 This chat has used its ${budget.exceeded} budget (${formatUsd(limit)}). Ask an admin to raise it with /budget.`);
+            return;
+        }
+
+        let history = await kv.get(dbKey) || [];
+        if (options.regenerate) {
+            // Rewind the last exchange and replay its user turn
+            while (history.length && history[history.length - 1].role === 'assistant') history.pop();
+            const lastUser = history.pop();
+            if (!lastUser) {
+                await bot.sendMessage(chatId, "ℹ️ Nothing to regenerate.");
+                return;
+            }
+            userMessage = lastUser.content;
+            imageRef = lastUser.image || null;
+        }
+        const pageUrls = extractUrls(userMessage);
+        // Linked pages and attached images are the context, so they skip the router
+        const intent = options.searchQuery ? { action: "SEARCH", query: options.searchQuery }
+            : imageRef || pageUrls.length > 0 ? { action: "DIRECT" }
+            : await analyzeUserIntent(history, userMessage, meter);
+        
+        // Add user message to history
+        if (imageRef) {
+            const { fileId, mime } = imageRef;
+            history.push({ role: 'user', content: userMessage || "Describe this image.", image: { fileId, mime }, ts: Date.now() });
+        } else {
+            history.push({ role: 'user', content: userMessage, ts: Date.now() });
+        }
+        
+        const persona = await loadActivePersona(keys);
+        let activeModel = await resolveChatModel(keys, persona);
+        const { settings } = await resolveSettings(keys, persona);
+
+        // Text-only models can't see images, so hand image threads to the vision model
+        if (history.some(m => m.image) && !supportsVision(activeModel)) {
+            if (imageRef) {
+                await bot.sendMessage(chatId, `ℹ️ <code>${escapeHtml(activeModel)}</code> can't read images, so this chat's image questions go to <code>${VISION_MODEL}</code> until you /clear.`, {parse_mode: 'HTML'});
+            }
+            activeModel = VISION_MODEL;
+        }
+        const requestedModel = activeModel;
+        if (budget?.exceeded) activeModel = BUDGET_DOWNGRADE_MODEL;
+        
+        // --- SYSTEM CONTEXT CONSTRUCTION ---
+        // FIX 2: Get Manila Time for the Main Chat
+        const nowManila = new Date().toLocaleString("en-US", { timeZone: "Asia/Manila", dateStyle: "full", timeStyle: "short" });
+
+        let systemContext = process.env.SYSTEM_PROMPT || "You are a helpful assistant.";
+        
+        // FIX 2: Inject Date into Context
+        systemContext += `\n\n[System Time]: Today is ${nowManila} (Asia/Manila).`;
+
+        if (persona) {
+            systemContext += `\n\n[Persona: ${persona.name}]:\n${persona.prompt}`;
+        } else {
+            const customPrompt = await kv.get(promptKey);
+            if (customPrompt) {
+                systemContext += `\n\n[Additional Instructions]:\n${customPrompt}`;
+            }
+        }
+
+        const memorySummary = await kv.get(summaryKey);
+        if (memorySummary) {
+            systemContext += `\n\n[Conversation Summary (earlier messages)]:\n${memorySummary}`;
+        }
+
+        let hiddenSearchData = "";
+        let searchSources = [];
+        let searchFailure = null;
+
+        if (intent.action === 'SEARCH') {
+            await bot.sendChatAction(chatId, 'typing');
+            const search = await performWebSearch(intent.query);
+            
+            if (search.results.length > 0) {
+                searchSources = search.results;
+                hiddenSearchData = `\n\n[Search Query: ${intent.query}]\n`;
+                systemContext += `\n\n[Context from Web Search]:\n${formatSearchContext(search.results)}`;
+                systemContext += `\n\nCite the search results inline as [1], [2], ... matching their numbers.`;
+            } else {
+                searchFailure = search.error;
+                systemContext += `\n\n[Web search failed]: Say that your answer may be out of date.`;
+            }
+        }
+
+        // Uploaded documents: add the best matching chunks, cited by file and section
+        const docChunks = userMessage ? await retrieveDocumentChunks(keys.docsKey, keys.convoId, userMessage) : [];
+        if (docChunks.length > 0) {
+            systemContext += `\n\n[Context from Uploaded Documents]:\n` + docChunks
+                .map(c => `[${c.name} § ${c.section}]\n${c.text}`).join('\n\n');
+            systemContext += `\n\nWhen you use these excerpts, cite them as (file § section).`;
+        }
+
+        const pageFailures = [];
+        if (pageUrls.length > 0) {
+            await bot.sendChatAction(chatId, 'typing');
+            const pages = [];
+            for (const url of pageUrls) {
+                try {
+                    pages.push(await fetchPageText(url));
+                } catch (e) {
+                    console.warn(`Page fetch failed for ${url}:`, e.message);
+                    pageFailures.push({ url, reason: e.message });
+                }
+            }
+            if (pages.length > 0) {
+                hiddenSearchData += `\n\n[Read Pages: ${pages.map(p => p.url).join(', ')}]\n`;
+                systemContext += `\n\n[Context from Linked Pages]:\n` + pages
+                    .map((p, i) => `[Page ${i + 1}] Title: ${p.title}\nURL: ${p.url}\nContent: ${p.text}`).join('\n\n');
+            }
+            if (pageFailures.length > 0) {
+                systemContext += `\n\n[Unreadable Links]: ${pageFailures.map(f => f.url).join(', ')} could not be fetched. Don't guess their content.`;
+            }
+        }
+
+        const answerMessages = [
+            { role: "system", content: systemContext },
+            ...await buildModelMessages(bot, history)
+        ];
+
+        let reasoning = "";
+        const callOptions = { meter, settings, onReasoning: text => { reasoning = text; } };
+        let finalResponse = null;
+        let live = null;
+        let streamError = null;
+        if (await kv.get(streamKey)) {
+            try {
+                live = await createLiveMessage(bot, chatId);
+                finalResponse = await streamAIWithRotation(answerMessages, activeModel, live.update, callOptions)
+                    .catch(e => { streamError = e; throw e; });
+            } catch (e) {
+                // Remove the partial answer so the fallback doesn't duplicate it
+                console.warn(`Streaming failed, falling back:`, e.message);
+                if (live) await live.discard();
+                live = null;
+                await bot.sendChatAction(chatId, 'typing');
+            }
+        }
+        let answeredBy = activeModel;
+        if (!finalResponse) {
+            let fallbackModels = await kv.get(fallbackKey) || FALLBACK_MODELS;
+            if (history.some(m => m.image)) fallbackModels = fallbackModels.filter(supportsVision);
+            // A failed stream already went through every token on activeModel, so go straight to the next model
+            const [primary, ...rest] = streamError
+                ? fallbackModels.filter(m => m !== activeModel)
+                : [activeModel, ...fallbackModels];
+            if (!primary) throw streamError;
+            const answer = await callAIWithFallback(answerMessages, primary, rest, callOptions);
+            finalResponse = answer.text;
+            answeredBy = answer.model;
+        }
+
+        // --- HTML FORMATTER & DB SAVE ---
+        const dbContent = finalResponse + hiddenSearchData;
+        const assistantTurn = { role: 'assistant', content: dbContent, model: answeredBy, ts: Date.now() };
+        if (hiddenSearchData) assistantTurn.searchQuery = intent.query;
+        history.push(assistantTurn);
+        
+        const summaryMemory = (await kv.get(memoryModeKey)) !== 'off';
+        if (!summaryMemory && history.length > 20) history = history.slice(-20);
+
+        let htmlReply = formatToHtml(finalResponse.trim());
+        if (settings.show_reasoning && reasoning) htmlReply = reasoningBlockquote(reasoning) + htmlReply;
+        if (searchSources.length > 0) {
+            htmlReply += `\n\n${formatSources(searchSources)}`;
+        } else if (searchFailure) {
+            htmlReply += `\n\n<i>⚠️ Web search unavailable (${escapeHtml(searchFailure)}), answered from the model's own knowledge.</i>`;
+        }
+        if (docChunks.length > 0) {
+            const cited = [...new Set(docChunks.map(c => `${c.name} § ${c.section}`))];
+            htmlReply += `\n\n<i>📎 ${cited.map(escapeHtml).join(' · ')}</i>`;
+        }
+        for (const failure of pageFailures) {
+            htmlReply += `\n\n<i>⚠️ Couldn't read ${escapeHtml(failure.url)} (${escapeHtml(failure.reason)})</i>`;
+        }
+        if (activeModel !== requestedModel) {
+            htmlReply += `\n\n<i>💸 ${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} budget reached, answered with <code>${escapeHtml(activeModel)}</code> instead of ${escapeHtml(requestedModel)}</i>`;
+        }
+        if (answeredBy !== activeModel) {
+            htmlReply += `\n\n<i>↪️ Answered by <code>${escapeHtml(answeredBy)}</code> (${escapeHtml(activeModel)} unavailable)</i>`;
+        }
+
+        // --- SMART SPLITTER (HTML AWARE) ---
+        const chunks = splitHtmlForTelegram(htmlReply);
+        assistantTurn.messageId = live
+            ? await live.finish(chunks, CHAT_REPLY_KEYBOARD)
+            : await sendHtmlChunks(bot, chatId, chunks, { reply_markup: CHAT_REPLY_KEYBOARD });
+        // Saved once the reply is out, so the buttons can tell the newest reply from older ones
+        await kv.set(dbKey, history);
+
+        if (await kv.get(speakKey)) {
+            try {
+                await bot.sendChatAction(chatId, 'record_voice');
+                await sendSpeech(bot, chatId, finalResponse);
+            } catch (e) {
+                console.warn(`Voice reply failed:`, e.message);
+            }
+        }
+
+        // Compact after replying so the summary call doesn't delay the answer
+        if (summaryMemory && needsCompaction(history)) {
+            await kv.set(dbKey, await compactHistory(summaryKey, history, meter));
+        }
+
+    } catch (error) {
+        console.error(error);
+        await bot.sendMessage(chatId, `⚠️ Error: ${error.message}`);
+    }
+}
+
+// --- HELPER 15: INLINE KEYBOARDS (MODEL PICKER, IMAGE & CHAT BUTTONS) ---
+// callback_data is capped at 64 bytes, so buttons carry short codes and list
+// indexes instead of model ids or prompts.
+const PICKER_PROVIDERS_PER_PAGE = 12;
+const PICKER_MODELS_PER_PAGE = 8;
+const IMAGE_REQUEST_TTL = 7 * 24 * 3600;
+const MAX_IMAGE_BATCH = 4;
+const IMAGE_PIXELS = 1024 * 1024;
+
+const IMAGE_RESULT_KEYBOARD = {
+    inline_keyboard: [[
+        { text: '🔄 Regenerate', callback_data: 'img:regen' },
+        { text: '🎲 Variation', callback_data: 'img:var' }
+    ]]
+};
+
+function pageNav(prefix, page, pageCount) {
+    const nav = [];
+    if (page > 0) nav.push({ text: '◀️', callback_data: `${prefix}:${page - 1}` });
+    if (pageCount > 1) nav.push({ text: `${page + 1}/${pageCount}`, callback_data: 'noop' });
+    if (page < pageCount - 1) nav.push({ text: '▶️', callback_data: `${prefix}:${page + 1}` });
+    return nav;
+}
+
+// Returns { text, reply_markup } for a picker page.
+// view 'providers' lists providers; view 'models' lists one provider's models.
+function renderModelPicker(catalog, currentModel, view = 'providers', providerIndex = 0, page = 0) {
+    const providers = [...new Set(catalog.map(m => m.provider))].sort();
+    const header = `<b>🤖 Model Picker</b>\nCurrent: <code>${escapeHtml(currentModel)}</code>\n\n`;
+
+    if (view === 'providers') {
+        const pageCount = Math.max(1, Math.ceil(providers.length / PICKER_PROVIDERS_PER_PAGE));
+        const slice = providers.slice(page * PICKER_PROVIDERS_PER_PAGE, (page + 1) * PICKER_PROVIDERS_PER_PAGE);
+        const rows = [];
+        for (let i = 0; i < slice.length; i += 2) {
+            rows.push(slice.slice(i, i + 2).map(p => {
+                const count = catalog.filter(m => m.provider === p).length;
+                return { text: `${p} (${count})`, callback_data: `mv:${providers.indexOf(p)}:0` };
+            }));
+        }
+        const nav = pageNav('mp', page, pageCount);
+        if (nav.length) rows.push(nav);
+        return { text: header + `Pick a provider (${catalog.length} models):`, reply_markup: { inline_keyboard: rows } };
+    }
+
+    const provider = providers[providerIndex];
+    const models = catalog.map((m, index) => ({ ...m, index })).filter(m => m.provider === provider).sort((a, b) => a.id.localeCompare(b.id));
+    const pageCount = Math.max(1, Math.ceil(models.length / PICKER_MODELS_PER_PAGE));
+    const rows = models
+        .slice(page * PICKER_MODELS_PER_PAGE, (page + 1) * PICKER_MODELS_PER_PAGE)
+        .map(m => [{ text: `${m.id === currentModel ? '✅ ' : ''}${m.id}`.slice(0, 60), callback_data: `ms:${m.index}` }]);
+    const nav = pageNav(`mv:${providerIndex}`, page, pageCount);
+    if (nav.length) rows.push(nav);
+    rows.push([{ text: '⬅️ Providers', callback_data: 'mp:0' }]);
+    return { text: header + `<b>${escapeHtml(String(provider).toUpperCase())}</b>`, reply_markup: { inline_keyboard: rows } };
+}
+
+// Short name or full id -> short name, or null
+function resolveImageModel(name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (IMAGE_MODELS[key]) return key;
+    return Object.keys(IMAGE_MODELS).find(k => IMAGE_MODELS[k].id.toLowerCase() === key) || null;
+}
+
+// "--model sdxl --ar 16:9 --n 4 a red fox" -> { prompt, model, ar, n }. Flags may go anywhere;
+// any other "--word" stays in the prompt.
+const IMAGE_FLAGS = ['--model', '--ar', '--n'];
+
+function parseImageArgs(text) {
+    const request = { prompt: '', model: null, ar: null, n: 1 };
+    const words = [];
+    const tokens = text.split(/\s+/).filter(Boolean);
+    for (let i = 0; i < tokens.length; i++) {
+        const flag = tokens[i].toLowerCase();
+        if (!IMAGE_FLAGS.includes(flag)) {
+            words.push(tokens[i]);
+            continue;
+        }
+        const value = tokens[++i];
+        if (value === undefined) throw new Error(`${flag} needs a value`);
+
+        if (flag === '--model') {
+            request.model = resolveImageModel(value);
+            if (!request.model) throw new Error(`Unknown image model "${value}". See /imagemodels`);
+        } else if (flag === '--ar') {
+            const match = value.match(/^(\d{1,2}):(\d{1,2})$/);
+            const ratio = match ? match[1] / match[2] : 0;
+            if (!(ratio >= 0.25 && ratio <= 4)) throw new Error(`Aspect ratio should look like 16:9, between 1:4 and 4:1`);
+            request.ar = `${match[1]}:${match[2]}`;
+        } else if (flag === '--n') {
+            const n = parseInt(value, 10);
+            if (!(n >= 1 && n <= MAX_IMAGE_BATCH)) throw new Error(`--n takes 1 to ${MAX_IMAGE_BATCH}`);
+            request.n = n;
+        }
+    }
+    request.prompt = words.join(' ');
+    return request;
+}
+
+function imageSizeOptions(model, ar) {
+    if (!ar) return {};
+    const [w, h] = ar.split(':').map(Number);
+    if (IMAGE_MODELS[model].size === 'ratio') return { ratio: { w, h } };
+    // About one megapixel, in the multiples of 64 diffusion models expect
+    const snap = v => Math.max(256, Math.round(v / 64) * 64);
+    return { width: snap(Math.sqrt(IMAGE_PIXELS * w / h)), height: snap(Math.sqrt(IMAGE_PIXELS * h / w)) };
+}
+
+// One image through the token rotation. Returns the src (URL, data URI or base64).
+async function generateImage(model, prompt, options = {}, meter = null) {
+    const modelId = IMAGE_MODELS[model].id;
+    const imageResult = await runWithTokenRotation(modelId, async (puter, token) => {
+        const generated = await puter.ai.txt2img(prompt, { model: modelId, ...options });
+        await recordUsage(meter, { kind: 'image', model: modelId, token, cost: IMAGE_PRICE_USD });
+        return generated;
+    });
+    const src = imageResult?.src || imageResult;
+    if (typeof src !== 'string') throw new Error(`Invalid response type: ${typeof src}`);
+    return src;
+}
+
+function imageSrcToInput(src) {
+    if (src.startsWith('http')) return src;
+    if (src.startsWith('data:image')) return Buffer.from(src.split(',')[1], 'base64');
+    return Buffer.from(src, 'base64');
+}
+
+// request: { prompt, model, ar, n, seed, source: { fileId, mime } } as built by /image.
+// One photo gets the Regenerate / Variation buttons; a batch goes out as an album.
+async function generateAndSendImage(bot, chatId, request, meter = null) {
+    const model = IMAGE_MODELS[request.model] || IMAGE_MODELS[DEFAULT_IMAGE_MODEL];
+
+    // Images have no cheaper fallback, so any exceeded budget blocks them
+    const budget = await checkBudget(chatId);
+    if (budget?.exceeded) throw new Error(`this chat has used its ${budget.exceeded} budget`);
+
+    const options = imageSizeOptions(request.model, request.ar);
+    if (request.seed) options.seed = request.seed;
+    if (request.source) {
+        const base64 = (await downloadTelegramFile(bot, request.source.fileId)).toString('base64');
+        options[model.edit] = model.edit === 'input_image' ? `data:${request.source.mime};base64,${base64}` : base64;
+    }
+
+    // Models return one image per call, so a batch is n calls side by side
+    const settled = await Promise.allSettled(Array.from({ length: request.n || 1 }, () =>
+        generateImage(request.model, request.prompt, options, meter)));
+    const images = settled.filter(r => r.status === 'fulfilled').map(r => imageSrcToInput(r.value));
+    if (images.length === 0) throw settled[0].reason;
+
+    const verb = request.source ? '✏️ <b>Edited with' : '🎨 <b>Generated by';
+    const caption = `${verb} ${model.name}:</b>\n${escapeHtml(request.prompt)}`.slice(0, 1024);
+    if (images.length === 1) {
+        const sent = await bot.sendPhoto(chatId, images[0], {
+            caption,
+            parse_mode: 'HTML',
+            reply_markup: IMAGE_RESULT_KEYBOARD
+        });
+        // Remember the request so the buttons under this photo can reuse it
+        const { prompt, model: modelName, ar, source } = request;
+        await kv.set(`image_req:${chatId}:${sent.message_id}`, { prompt, model: modelName, ar, source }, { ex: IMAGE_REQUEST_TTL });
+    } else {
+        await bot.sendMediaGroup(chatId, images.map((media, i) => (
+            i === 0 ? { type: 'photo', media, caption, parse_mode: 'HTML' } : { type: 'photo', media }
+        )));
+    }
+
+    const failed = settled.length - images.length;
+    if (failed > 0) await bot.sendMessage(chatId, `⚠️ ${failed} of ${settled.length} images failed.`);
+}
+
+async function handleCallbackQuery(rawBot, query) {
+    const message = query.message;
+    const data = query.data || '';
+    if (!message) return rawBot.answerCallbackQuery(query.id);
+
+    const chatId = message.chat.id;
+    const role = await getUserRole(query.from.id, chatId);
+    if (!role) {
+        console.warn(`Unauthorized button tap by user ${query.from.id} in chat ${chatId}`);
+        return rawBot.answerCallbackQuery(query.id, { text: "⛔ Not allowed.", show_alert: true });
+    }
+
+    const bot = bindToTopic(rawBot, message.is_topic_message ? message.message_thread_id : null);
+    const isGroup = ['group', 'supergroup'].includes(message.chat.type);
+    const groupSettings = isGroup ? await kv.get(`group_settings:${chatId}`) || {} : null;
+    // The tapper, not the bot that sent the message, owns per-user group history
+    const keys = await loadChatKeys(conversationId({ ...message, from: query.from }, groupSettings));
+
+    if (data === 'noop') return bot.answerCallbackQuery(query.id);
+
+    // Model picker navigation: mp:<page>, mv:<provider>:<page>, ms:<model>
+    if (/^m[pvs]:/.test(data)) {
+        const catalog = await fetchModelCatalog();
+        const currentModel = await resolveChatModel(keys, await loadActivePersona(keys));
+        const parts = data.split(':').map(Number);
+
+        if (data.startsWith('ms:')) {
+            const picked = catalog[parts[1]];
+            if (!picked) return bot.answerCallbackQuery(query.id, { text: "Model list changed, please reopen /models.", show_alert: true });
+            await kv.set(keys.modelKey, picked.id);
+            await bot.answerCallbackQuery(query.id, { text: `Switched to ${picked.id}` });
+            await bot.editMessageText(`✅ Switched to: <code>${escapeHtml(picked.id)}</code>`, { chat_id: chatId, message_id: message.message_id, parse_mode: 'HTML' });
+            return;
+        }
+
+        const picker = data.startsWith('mp:')
+            ? renderModelPicker(catalog, currentModel, 'providers', 0, parts[1] || 0)
+            : renderModelPicker(catalog, currentModel, 'models', parts[1] || 0, parts[2] || 0);
+        await bot.answerCallbackQuery(query.id);
+
+        // "Model" under a chat reply opens a fresh picker instead of replacing the answer
+        if (data === 'mp:0' && message.reply_markup?.inline_keyboard?.[0]?.[0]?.callback_data === 'chat:regen') {
+            await bot.sendMessage(chatId, picker.text, { parse_mode: 'HTML', reply_markup: picker.reply_markup });
+        } else {
+            await bot.editMessageText(picker.text, { chat_id: chatId, message_id: message.message_id, parse_mode: 'HTML', reply_markup: picker.reply_markup });
+        }
+        return;
+    }
+
+    // Chat reply buttons
+    if (data === 'chat:regen' || data === 'chat:cont') {
+        // Both act on the newest exchange, so buttons under older replies would hit the wrong one
+        const history = await kv.get(keys.dbKey) || [];
+        const lastReply = history.findLast(m => m.role === 'assistant');
+        if (lastReply?.messageId !== message.message_id) {
+            const text = data === 'chat:regen' ? "Only the latest reply can be regenerated." : "Only the latest reply can be continued.";
+            return bot.answerCallbackQuery(query.id, { text, show_alert: true });
+        }
+        await bot.answerCallbackQuery(query.id);
+        // Drop the buttons so a double tap can't run the turn twice
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: message.message_id }).catch(() => {});
+        await bot.sendChatAction(chatId, 'typing');
+
+        if (data === 'chat:cont') {
+            return runChatTurn(bot, chatId, keys, "Continue exactly where you left off.", null, { userId: query.from.id });
+        }
+
+        return runChatTurn(bot, chatId, keys, null, null, { regenerate: true, userId: query.from.id });
+    }
+
+    // Image result buttons
+    if (data === 'img:regen' || data === 'img:var') {
+        const request = await kv.get(`image_req:${chatId}:${message.message_id}`);
+        if (!request) return bot.answerCallbackQuery(query.id, { text: "This image is too old to regenerate.", show_alert: true });
+        await bot.answerCallbackQuery(query.id, { text: "🎨 Generating..." });
+        await bot.sendChatAction(chatId, 'upload_photo');
+        try {
+            // Requests saved before named image models existed carry no model
+            const base = { ...request, model: resolveImageModel(request.model) || DEFAULT_IMAGE_MODEL };
+            const next = data === 'img:var'
+                ? { ...base, seed: Math.floor(Math.random() * 1e9), prompt: `${request.prompt}, alternative composition` }
+                : base;
+            await generateAndSendImage(bot, chatId, next, { chatId, userId: query.from.id });
+        } catch (e) {
+            console.warn(`Image failed:`, e.message);
+            await bot.sendMessage(chatId, `❌ Image failed: ${e.message}`);
+        }
+        return;
+    }
+
+    return bot.answerCallbackQuery(query.id);
+}
+
+// --- HELPER 16: INLINE MODE ---
+// Telegram sends an inline_query per keystroke. Each update records itself as
+// the user's latest query and waits briefly; superseded queries bail out
+// before spending a token, and finished answers are cached by query text.
+const INLINE_MIN_QUERY = 3;
+const INLINE_DEBOUNCE_MS = 1200;
+const INLINE_CACHE_TTL = 600;          // Seconds, both in KV and on Telegram's side
+const INLINE_IMAGE_PATTERN = /^(img|image):\s*/i;
+
+function inlineArticle(id, title, html, description) {
+    return {
+        type: 'article',
+        id,
+        title: title.slice(0, 64),
+        description: (description || '').slice(0, 120),
+        input_message_content: { message_text: html, parse_mode: 'HTML', disable_web_page_preview: true }
+    };
+}
+
+// Turns a generated image into something an inline result can carry.
+// URLs are used directly; raw data is uploaded to the user's own chat with
+// the bot to obtain a file_id, and that helper message is deleted again.
+async function imageToInlineResult(bot, userId, id, prompt, src) {
+    const caption = `🎨 ${escapeHtml(prompt)}`.slice(0, 1024);
+    if (src.startsWith('http')) {
+        return { type: 'photo', id, photo_url: src, thumbnail_url: src, caption, parse_mode: 'HTML' };
+    }
+    const base64Data = src.startsWith('data:image') ? src.split(',')[1] : src;
+    const sent = await bot.sendPhoto(userId, Buffer.from(base64Data, 'base64'), { disable_notification: true });
+    await bot.deleteMessage(userId, sent.message_id).catch(() => {});
+    const fileId = sent.photo[sent.photo.length - 1].file_id;
+    return { type: 'photo', id, photo_file_id: fileId, caption, parse_mode: 'HTML' };
+}
+
+async function handleInlineQuery(bot, inlineQuery) {
+    const userId = inlineQuery.from.id;
+    const query = (inlineQuery.query || '').trim();
+    const answer = (results, { button, ...options } = {}) => bot.answerInlineQuery(inlineQuery.id, results, {
+        cache_time: INLINE_CACHE_TTL,
+        is_personal: true,
+        ...options,
+        // The library only serializes `results`; nested form fields must be JSON already
+        ...(button ? { button: JSON.stringify(button) } : {})
+    });
+
+    // No chat id here: the user has to be allowed on their own
+    const role = await getUserRole(userId, userId);
+    if (!role) {
+        console.warn(`Unauthorized inline query from user ${userId}`);
+        return answer([], { cache_time: 60, button: { text: "⛔ Not authorized", start_parameter: 'inline' } });
+    }
+    if (query.length < INLINE_MIN_QUERY) {
+        return answer([], { cache_time: 0, button: { text: "Ask a question, or img: prompt", start_parameter: 'inline' } });
+    }
+
+    const isImage = INLINE_IMAGE_PATTERN.test(query);
+    const keys = await loadChatKeys(String(userId));
+    // Inline usage is billed to the user's private chat with the bot
+    const meter = { chatId: userId, userId };
+    const budget = await checkBudget(userId);
+    if (budget?.exceeded && (isImage || budget.action === 'block')) {
+        return answer([], { cache_time: 60, button: { text: `💸 ${budget.exceeded} budget used up`, start_parameter: 'inline' } });
+    }
+    const imageModel = resolveImageModel(await kv.get(keys.imageModelKey)) || DEFAULT_IMAGE_MODEL;
+    const persona = await loadActivePersona(keys);
+    const { settings } = await resolveSettings(keys, persona);
+    const modelId = isImage ? IMAGE_MODELS[imageModel].id
+        : budget?.exceeded ? BUDGET_DOWNGRADE_MODEL
+        : await resolveChatModel(keys, persona);
+    // Settings change the answer, so they're part of the cache key
+    const callSettings = isImage ? {} : chatCallOptions(settings, modelId);
+    const cacheKey = `inline_cache:${crypto.createHash('sha256').update(`${modelId}\n${JSON.stringify(callSettings)}\n${query}`).digest('hex').slice(0, 32)}`;
+
+    const cached = await kv.get(cacheKey);
+    if (cached) return answer(cached);
+
+    // Debounce: if the user kept typing, a newer update will do the work
+    const latestKey = `inline_latest:${userId}`;
+    await kv.set(latestKey, inlineQuery.id, { ex: 60 });
+    await new Promise(resolve => setTimeout(resolve, INLINE_DEBOUNCE_MS));
+    if (await kv.get(latestKey) !== inlineQuery.id) return;
+
+    const resultId = cacheKey.slice(-32);
+    let results;
+    try {
+        if (isImage) {
+            const prompt = query.replace(INLINE_IMAGE_PATTERN, '').trim();
+            if (!prompt) return answer([], { cache_time: 0 });
+            const src = await generateImage(imageModel, prompt, {}, meter);
+            results = [await imageToInlineResult(bot, userId, resultId, prompt, src)];
+        } else {
+            const text = await callAIWithRotation([
+                { role: "system", content: "Answer concisely; the reply is pasted into someone else's chat." },
+                { role: "user", content: query }
+            ], modelId, { meter, settings });
+            const [html] = splitHtmlForTelegram(formatToHtml(text), 3600);
+            results = [inlineArticle(resultId, query, `❓ <i>${escapeHtml(query)}</i>\n\n${html}`, htmlToPlain(html))];
+        }
+    } catch (e) {
+        console.warn(`Inline query failed:`, e.message);
+        return answer([inlineArticle('error', "⚠️ Failed", `⚠️ ${escapeHtml(e.message)}`, e.message)], { cache_time: 0 });
+    }
+
+    await kv.set(cacheKey, results, { ex: INLINE_CACHE_TTL });
+    return answer(results);
+}
+
+// --- HELPER 17: DOCUMENT STORE (CHAT WITH YOUR FILES) ---
+// Uploaded files are split into chunks tagged with a section (Markdown
+// heading, PDF page or line range) and stored per chat. Questions pull the
+// best keyword (BM25) matches into the system context with citations.
+// Term counts are worked out once at upload: doc_chunks:<convoId>:<id> holds
+// each chunk's counts, and doc_terms:<convoId>:<id> the document's term ->
+// chunk count map, which is all a question loads when nothing matches.
+const MAX_DOC_BYTES = 10 * 1024 * 1024;
+const MAX_DOCS = 20;
+const DOC_CHUNK_CHARS = 1500;
+const MAX_DOC_CHUNKS = 300;
+const DOC_RETRIEVE_CHUNKS = 4;
+const DOC_TEXT_EXTENSIONS = /\.(txt|md|markdown|rst|log|csv|tsv|json|ya?ml|toml|ini|cfg|conf|env|xml|html?|css|scss|sql|sh|bash|zsh|ps1|bat|py|rb|php|pl|lua|r|js|mjs|cjs|jsx|ts|tsx|vue|svelte|java|kt|kts|scala|go|rs|c|h|cc|cpp|hpp|cs|swift|m|dart|ex|exs|erl|hs|clj|tf|gradle|dockerfile|makefile|mk)$/i;
+const DOC_TEXT_FILENAMES = /^(dockerfile|containerfile|makefile|gnumakefile|procfile|gemfile|rakefile|vagrantfile|jenkinsfile|license|readme|changelog)$/i;
+const DOC_STOPWORDS = new Set(('a an and are as at be but by do does for from has have how i if in into is it its ' +
+    'me my of on or our so that the their them then there these this to was we what when where which who why ' +
+    'will with you your can could should would about please tell explain').split(' '));
+
+function isSupportedDocument(doc) {
+    const mime = (doc.mime_type || '').toLowerCase();
+    return mime === 'application/pdf' || mime.startsWith('text/') || mime === 'application/json' ||
+        mime === 'application/xml' || mime === 'application/x-sh' || DOC_TEXT_EXTENSIONS.test(doc.file_name || '') ||
+        DOC_TEXT_FILENAMES.test(doc.file_name || '');
+}
+
+function tokenizeForSearch(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || []).filter(t => !DOC_STOPWORDS.has(t));
+}
+
+// Term maps are plain objects from JSON, so only own keys count ("constructor" is a valid term)
+function termCount(counts, term) {
+    return Object.hasOwn(counts, term) ? counts[term] : 0;
+}
+
+// Returns the chunks with { length, counts } added, and the document's
+// { chunks, tokens, df } summary for doc_terms.
+function indexChunks(chunks) {
+    const indexed = chunks.map(({ section, text }) => {
+        const counts = new Map();
+        const tokens = tokenizeForSearch(`${section} ${text}`);
+        tokens.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        return { section, text, length: tokens.length, counts: Object.fromEntries(counts) };
+    });
+    const df = new Map();
+    indexed.forEach(c => Object.keys(c.counts).forEach(t => df.set(t, (df.get(t) || 0) + 1)));
+    return {
+        chunks: indexed,
+        terms: { chunks: indexed.length, tokens: indexed.reduce((sum, c) => sum + c.length, 0), df: Object.fromEntries(df) }
+    };
+}
+
+// Packs units ({ section, text }) into chunks of about DOC_CHUNK_CHARS,
+// starting a new chunk whenever the section changes.
+function packChunks(units) {
+    const chunks = [];
+    let current = null;
+    for (const unit of units) {
+        const pieces = unit.text.length > DOC_CHUNK_CHARS
+            ? unit.text.match(new RegExp(`[\\s\\S]{1,${DOC_CHUNK_CHARS}}`, 'g'))
+            : [unit.text];
+        for (const piece of pieces) {
+            if (!current || current.section !== unit.section || current.text.length + piece.length > DOC_CHUNK_CHARS) {
+                if (current) chunks.push(current);
+                current = { section: unit.section, text: '' };
+            }
+            current.text += (current.text ? '\n' : '') + piece;
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks.filter(c => c.text.trim());
+}
+
+function chunkMarkdown(text) {
+    const units = [];
+    let heading = 'Intro';
+    let paragraph = [];
+    const flush = () => {
+        if (paragraph.length) units.push({ section: heading, text: paragraph.join('\n') });
+        paragraph = [];
+    };
+    for (const line of text.split('\n')) {
+        const match = line.match(/^#{1,6}\s+(.+)/);
+        if (match) {
+            flush();
+            heading = match[1].trim().slice(0, 80);
+        }
+        if (!line.trim()) flush();
+        else paragraph.push(line);
+    }
+    flush();
+    return packChunks(units);
+}
+
+// Code, logs and plain text: runs of lines, cited by line range.
+function chunkLines(text) {
+    const chunks = [];
+    const lines = text.split('\n');
+    let start = 0;
+    while (start < lines.length) {
+        let end = start;
+        let size = 0;
+        while (end < lines.length && (end === start || size + lines[end].length < DOC_CHUNK_CHARS)) {
+            size += lines[end].length + 1;
+            end++;
+        }
+        const body = lines.slice(start, end).join('\n').slice(0, DOC_CHUNK_CHARS * 2);
+        if (body.trim()) chunks.push({ section: `lines ${start + 1}-${end}`, text: body });
+        start = end;
+    }
+    return chunks;
+}
+
+async function extractDocumentChunks(buffer, doc) {
+    const name = doc.file_name || 'document';
+    if ((doc.mime_type || '') === 'application/pdf' || /\.pdf$/i.test(name)) {
+        const parser = new PDFParse({ data: buffer });
+        try {
+            const result = await parser.getText();
+            return packChunks(result.pages.map(page => ({ section: `p. ${page.num}`, text: page.text.trim() })).filter(u => u.text));
+        } finally {
+            await parser.destroy();
+        }
+    }
+    const text = buffer.toString('utf8').replace(/\r\n?/g, '\n');
+    if (text.includes('\u0000')) throw new Error("this looks like a binary file");
+    return /\.(md|markdown|rst|txt)$/i.test(name) || (doc.mime_type || '') === 'text/markdown'
+        ? chunkMarkdown(text)
+        : chunkLines(text);
+}
+
+async function storeDocument(bot, docsKey, convoId, doc) {
+    if ((doc.file_size || 0) > MAX_DOC_BYTES) throw new Error("file is too large (max 10 MB)");
+
+    const buffer = await downloadTelegramFile(bot, doc.file_id);
+    const chunks = (await extractDocumentChunks(buffer, doc)).slice(0, MAX_DOC_CHUNKS);
+    if (chunks.length === 0) throw new Error("no readable text found");
+
+    const docs = await kv.get(docsKey) || [];
+    const name = doc.file_name || `document-${docs.length + 1}`;
+    // Re-uploading a file with the same name replaces it
+    const existing = docs.find(d => d.name === name);
+    if (!existing && docs.length >= MAX_DOCS) throw new Error(`limit of ${MAX_DOCS} documents reached, /forget one first`);
+
+    const id = existing ? existing.id : crypto.randomBytes(4).toString('hex');
+    const index = indexChunks(chunks);
+    await kv.set(`doc_chunks:${convoId}:${id}`, index.chunks);
+    await kv.set(`doc_terms:${convoId}:${id}`, index.terms);
+    const entry = { id, name, chunks: chunks.length, chars: chunks.reduce((sum, c) => sum + c.text.length, 0), ts: Date.now() };
+    await kv.set(docsKey, [...docs.filter(d => d.id !== id), entry]);
+    return entry;
+}
+
+async function forgetDocument(docsKey, convoId, doc) {
+    const docs = await kv.get(docsKey) || [];
+    await kv.del(`doc_chunks:${convoId}:${doc.id}`, `doc_terms:${convoId}:${doc.id}`);
+    await kv.set(docsKey, docs.filter(d => d.id !== doc.id));
+}
+
+// Documents uploaded before doc_terms existed are indexed on first use.
+async function indexStoredDocument(convoId, doc) {
+    const { chunks, terms } = indexChunks(await kv.get(`doc_chunks:${convoId}:${doc.id}`) || []);
+    await kv.set(`doc_chunks:${convoId}:${doc.id}`, chunks);
+    await kv.set(`doc_terms:${convoId}:${doc.id}`, terms);
+    return terms;
+}
+
+// Returns the best chunks as [{ name, section, text }], or [] when nothing matches.
+async function retrieveDocumentChunks(docsKey, convoId, question) {
+    const docs = await kv.get(docsKey) || [];
+    const terms = [...new Set(tokenizeForSearch(question))];
+    if (docs.length === 0 || terms.length === 0) return [];
+
+    const termMaps = await kv.mget(...docs.map(d => `doc_terms:${convoId}:${d.id}`));
+    for (let i = 0; i < docs.length; i++) {
+        if (!termMaps[i]) termMaps[i] = await indexStoredDocument(convoId, docs[i]);
+    }
+    const matching = docs.filter((d, i) => terms.some(t => termCount(termMaps[i].df, t) > 0));
+    if (matching.length === 0) return [];
+
+    // BM25 over every chunk in the chat; only the matching documents' chunks are loaded
+    const total = termMaps.reduce((sum, m) => sum + m.chunks, 0);
+    const avgLength = termMaps.reduce((sum, m) => sum + m.tokens, 0) / total || 1;
+    const docFreq = Object.fromEntries(terms.map(t => [t, termMaps.reduce((sum, m) => sum + termCount(m.df, t), 0)]));
+    const stored = await kv.mget(...matching.map(d => `doc_chunks:${convoId}:${d.id}`));
+    const scored = [];
+    matching.forEach((d, i) => (stored[i] || []).forEach(chunk => {
+        let score = 0;
+        for (const term of terms) {
+            const tf = termCount(chunk.counts, term);
+            if (!tf) continue;
+            const idf = Math.log(1 + (total - docFreq[term] + 0.5) / (docFreq[term] + 0.5));
+            score += idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * chunk.length / avgLength));
+        }
+        if (score > 0) scored.push({ chunk: { name: d.name, section: chunk.section, text: chunk.text }, score });
+    }));
+
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, DOC_RETRIEVE_CHUNKS)
+        .map(({ chunk }) => chunk);
+}
+
+// --- HELPER 18: WEBHOOK SECURITY ---
+// Telegram echoes the secret given to setWebHook (see api/setup.js) in a header
+// on every update. Retried updates are acknowledged without reprocessing.
+// Without TELEGRAM_WEBHOOK_SECRET every update is refused, unless
+// ALLOW_UNVERIFIED_WEBHOOK=1 opts out of the check (e.g. for local testing).
+const UPDATE_DEDUP_TTL = 24 * 3600;
+
+function isValidWebhookSecret(req) {
+    const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!expected) return process.env.ALLOW_UNVERIFIED_WEBHOOK === '1';
+    return secretsMatch(req.headers['x-telegram-bot-api-secret-token'], expected);
+}
+
+// Returns true the first time an update_id is seen. SET NX makes the check and
+// the claim one step, so two concurrent retries can't both get through.
+async function claimUpdate(updateId) {
+    if (updateId === undefined) return true;
+    try {
+        return Boolean(await kv.set(`update:${updateId}`, 1, { nx: true, ex: UPDATE_DEDUP_TTL }));
+    } catch (e) {
+        console.warn("KV Update dedup failed:", e);
+        return true;
+    }
+}
+
+// --- HELPER 19: COMMAND REGISTRY ---
+// Each command declares its name, aliases, arguments, required role, help
+// section and description. The handler dispatches on exact names, /help is
+// rendered from this list and the same list is pushed to Telegram with
+// setMyCommands for autocomplete.
+//
+// `params` declares positional arguments, in order: { name, type, choices, optional }.
+// type 'word' (default) takes one word, 'id' a numeric Telegram id and 'text' the
+// rest of the line; choices are matched case-insensitively. The dispatcher
+// validates them, replies with the usage on a mismatch and passes run() the
+// values as `params`. Usage (<x> required, [x] optional) is generated from them.
+// Commands with subcommands or flags instead give their usage as `args` and
+// parse the raw `args` string themselves; if it starts with <...>, calling them
+// without arguments gets the usage reply.
+// `role: 'admin'` hides a command from non-admins and refuses it for them.
+// run() receives the handler's context: bot, chatId, userId, args, params, the chat keys etc.
+const COMMAND_SECTIONS = [
+    { id: 'basic', title: '🔹 Basic' },
+    { id: 'ai', title: '🧠 AI & Models', note: "(Send a photo with a caption to ask about it, or a file to chat with it)" },
+    { id: 'prompt', title: '📝 Custom Instructions' },
+    { id: 'creative', title: '🎨 Creative', note: "(Reply /image <instruction> to a photo to edit it)" },
+    { id: 'voice', title: '🎙️ Voice', note: "(Send a voice note to talk to the bot)" },
+    { id: 'schedules', title: '⏰ Schedules' },
+    { id: 'inline', title: '💬 Inline', text: username => `Type <code>@${username} question</code> in any chat, or <code>img: prompt</code> for an image` },
+    { id: 'groups', title: '👥 Groups', note: "(In groups, mention me or reply to me)" },
+    { id: 'tokens', title: '💳 Tokens & Balance', note: "(Send a raw token string to add it)" },
+    { id: 'access', title: '🔐 Access' },
+    { id: 'budgets', title: '💸 Budgets' }
+];
+
+// "/use@OurBot gpt-4o" -> { name: 'use', target: 'OurBot', args: 'gpt-4o' }
+function parseCommand(text) {
+    const match = (text || '').match(/^\/([A-Za-z0-9_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), target: match[2] || null, args: (match[3] || '').trim() };
+}
+
+function findCommand(name) {
+    return COMMANDS.find(c => c.name === name || (c.aliases || []).includes(name)) || null;
+}
+
+// Short choice lists are spelled out (e.g. [admin|user]); longer ones show the
+// name and are listed by the error instead
+function paramUsage(spec) {
+    const label = spec.choices?.length <= 3 ? spec.choices.join('|') : spec.name;
+    return spec.optional ? `[${label}]` : `<${label}>`;
+}
+
+// The argument part of a command's usage, e.g. "<id> [admin|user]"
+function commandArgs(command) {
+    return command.params ? command.params.map(paramUsage).join(' ') : (command.args || '');
+}
+
+function commandUsage(command) {
+    const args = commandArgs(command);
+    return `/${command.name}${args ? ` ${args}` : ''}`;
+}
+
+// Splits args by command.params into { params: { name: value } }, or returns
+// { error } with a message fit for the user when they don't fit the spec.
+function parseCommandArgs(command, args) {
+    if (!command.params) {
+        const required = command.args?.startsWith('<') ? command.args.split(' ')[0] : null;
+        return required && !args ? { error: `Missing ${required}.` } : { params: {} };
+    }
+    const params = {};
+    let rest = args;
+    for (const spec of command.params) {
+        let value;
+        if (spec.type === 'text') {
+            [value, rest] = [rest, ''];
+        } else {
+            const match = rest.match(/^(\S+)\s*([\s\S]*)$/);
+            [value, rest] = match ? [match[1], match[2]] : ['', ''];
+        }
+        if (!value) {
+            if (spec.optional) continue;
+            return { error: `Missing ${paramUsage(spec)}.` };
+        }
+        if (spec.choices) {
+            value = value.toLowerCase();
+            if (!spec.choices.includes(value)) return { error: `${spec.name} must be one of: ${spec.choices.join(', ')}.` };
+        }
+        if (spec.type === 'id' && !/^-?\d+$/.test(value)) return { error: `${spec.name} must be a numeric id.` };
+        params[spec.name] = value;
+    }
+    return rest ? { error: `Unexpected "${rest.slice(0, 40)}".` } : { params };
+}
+
+function renderHelp(isAdmin, username) {
+    let msg = `<b>🤖 Bot Command List</b>`;
+    for (const section of COMMAND_SECTIONS) {
+        const commands = COMMANDS.filter(c => c.section === section.id && (isAdmin || c.role !== 'admin'));
+        if (commands.length === 0 && !section.text) continue;
+
+        const adminOnly = commands.length > 0 && commands.every(c => c.role === 'admin');
+        msg += `\n\n<b>${section.title}${adminOnly ? ' (Admin)' : ''}</b>`;
+        commands.forEach(c => { msg += `\n${escapeHtml(commandUsage(c))} - ${escapeHtml(c.description)}`; });
+        if (section.text) msg += `\n${section.text(username)}`;
+        if (section.note) msg += `\n<i>${escapeHtml(section.note)}</i>`;
+    }
+    return msg;
+}
+
+// Everyone sees the user commands; admins get the full list in their private
+// chat. Only re-sent when the list or the admin set changes.
+async function syncBotCommands(bot) {
+    const toBotCommand = c => ({ command: c.name, description: `${commandArgs(c) ? `${commandArgs(c)} ` : ''}${c.description}`.slice(0, 256) });
+    const userCommands = COMMANDS.filter(c => c.role !== 'admin').map(toBotCommand);
+    const allCommands = COMMANDS.map(toBotCommand);
+
+    const roles = await kv.get('user_roles') || {};
+    const admins = [...new Set([...parseIdList(process.env.ADMINS), ...Object.keys(roles).filter(id => roles[id] === 'admin')])];
+    const signature = crypto.createHash('sha256').update(JSON.stringify({ allCommands, admins })).digest('hex').slice(0, 16);
+    if (await kv.get('commands_synced') === signature) return;
+
+    await bot.setMyCommands(userCommands);
+    for (const adminId of admins) {
+        try {
+            await bot.setMyCommands(allCommands, { scope: { type: 'chat', chat_id: adminId } });
+        } catch (e) {
+            // Admins who never opened a chat with the bot can't get a chat scope
+            console.warn(`setMyCommands failed for admin ${adminId}:`, e.message);
+        }
+    }
+    await kv.set('commands_synced', signature);
+}
+
+// /new and /switch share validation; `command` tells them apart.
+async function openThread({ bot, chatId, command, params, threads, threadsKey }) {
+    const isNew = command === 'new';
+    const name = params.name.toLowerCase();
+
+    if (!THREAD_NAME_PATTERN.test(name)) {
+        await bot.sendMessage(chatId, `⚠️ Usage: <code>/${isNew ? 'new' : 'switch'} &lt;name&gt;</code> (letters, numbers, - and _, max 32)`, {parse_mode: 'HTML'});
+        return;
+    }
+    if (isNew && threads.names.includes(name)) {
+        await bot.sendMessage(chatId, `⚠️ Thread <code>${name}</code> already exists. Use /switch ${name}.`, {parse_mode: 'HTML'});
+        return;
+    }
+    if (!isNew && !threads.names.includes(name)) {
+        await bot.sendMessage(chatId, `⚠️ No thread named <code>${name}</code>. See /threads or create it with /new ${name}.`, {parse_mode: 'HTML'});
+        return;
+    }
+    if (isNew && threads.names.length >= MAX_THREADS) {
+        await bot.sendMessage(chatId, `⚠️ Thread limit reached (${MAX_THREADS}). Delete one with /delthread first.`);
+        return;
+    }
+
+    if (isNew) threads.names.push(name);
+    threads.active = name;
+    await kv.set(threadsKey, threads);
+    await bot.sendMessage(chatId, isNew ? `🧵 <b>Created & switched to</b> <code>${name}</code>.` : `🔀 <b>Switched to</b> <code>${name}</code>.`, {parse_mode: 'HTML'});
+}
+
+const COMMANDS = [
+    // --- 2. BASIC COMMANDS & HELP ---
+    {
+        name: 'start',
+        section: 'basic',
+        description: "Check if bot is alive",
+        async run({ bot, chatId }) {
+            await bot.sendMessage(chatId, "Ready. Type /help to see what I can do.");
+        }
+    },
+    {
+        name: 'help',
+        section: 'basic',
+        description: "Show this menu",
+        async run({ bot, chatId, isAdmin }) {
+            const { username } = await getBotIdentity(bot);
+            await bot.sendMessage(chatId, renderHelp(isAdmin, username), { parse_mode: 'HTML' });
+        }
+    },
+    {
+        name: 'clear',
+        section: 'basic',
+        description: "Wipe chat memory",
+        async run({ bot, chatId, dbKey, summaryKey, lockName }) {
+            // Under the chat lock, so a turn in progress can't write its history back over the wipe
+            await withLock(lockName, async () => {
+                await kv.set(dbKey, []);
+                await kv.del(summaryKey);
+            }, CHAT_EDIT_LOCK);
+            await bot.sendMessage(chatId, "✅ Memory cleared.");
+        }
+    },
+    // --- 2a. GROUP SETTINGS (GROUP ADMINS) ---
+    {
+        name: 'group',
+        args: '[mode|history <value>]',
+        section: 'groups',
+        description: "Group settings (group admins)",
+        async run({ bot, chatId, userId, args, isAdmin, isGroup, groupSettings, groupSettingsKey }) {
+            if (!isGroup) {
+                await bot.sendMessage(chatId, "ℹ️ /group only works inside group chats.");
+                return;
+            }
+            const [setting, value] = args.toLowerCase().split(/\s+/);
+            const valid = { mode: ['mention', 'all'], history: ['shared', 'user'] };
+
+            if (!setting) {
+                await bot.sendMessage(chatId, `<b>👥 Group Settings</b>\n\n` +
+                    `• <b>Mode:</b> <code>${groupSettings.mode || 'mention'}</code>\n` +
+                    `• <b>History:</b> <code>${groupSettings.history || 'shared'}</code> (per topic)\n\n` +
+                    `<i>/group mode mention|all\n/group history shared|user</i>`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (!valid[setting] || !valid[setting].includes(value)) {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/group mode mention|all</code> or <code>/group history shared|user</code>", {parse_mode: 'HTML'});
+                return;
+            }
+            if (!isAdmin && !(await isGroupAdmin(bot, chatId, userId))) {
+                console.warn(`Unauthorized /group attempt by user ${userId} in chat ${chatId}`);
+                await bot.sendMessage(chatId, "⛔ Only group admins can change group settings.");
+                return;
+            }
+
+            groupSettings[setting] = value;
+            await kv.set(groupSettingsKey, groupSettings);
+            await bot.sendMessage(chatId, `✅ <b>Group ${setting}</b> set to <code>${value}</code>.`, {parse_mode: 'HTML'});
+        }
+    },
+    // --- 2b. THREADS ---
+    {
+        name: 'new',
+        params: [{ name: 'name' }],
+        section: 'basic',
+        description: "Start a new named thread",
+        run: openThread
+    },
+    {
+        name: 'switch',
+        params: [{ name: 'name' }],
+        section: 'basic',
+        description: "Switch thread",
+        run: openThread
+    },
+    {
+        name: 'threads',
+        section: 'basic',
+        description: "List threads",
+        async run({ bot, chatId, convoId, threads }) {
+            let msg = `<b>🧵 Threads</b>\n\n`;
+            for (const name of threads.names) {
+                const history = await kv.get(`chat_history:${threadScope(convoId, name)}`) || [];
+                msg += `${name === threads.active ? '▶️' : '•'} <code>${name}</code> (${history.length} messages)\n`;
+            }
+            msg += `\n<i>/new &lt;name&gt; · /switch &lt;name&gt; · /delthread &lt;name&gt;</i>`;
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'delthread',
+        params: [{ name: 'name' }],
+        section: 'basic',
+        description: "Delete a thread",
+        async run({ bot, chatId, params, convoId, threads, threadsKey }) {
+            const name = params.name.toLowerCase();
+
+            if (!threads.names.includes(name)) {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/delthread &lt;name&gt;</code> (see /threads)", {parse_mode: 'HTML'});
+                return;
+            }
+            if (name === DEFAULT_THREAD) {
+                await bot.sendMessage(chatId, "⚠️ The default thread can't be deleted. Use /clear to wipe it.");
+                return;
+            }
+
+            await deleteThreadData(convoId, name);
+            threads.names = threads.names.filter(n => n !== name);
+            if (threads.active === name) threads.active = DEFAULT_THREAD;
+            await kv.set(threadsKey, threads);
+            await bot.sendMessage(chatId, `🗑️ <b>Deleted thread</b> <code>${name}</code>. Active: <code>${threads.active}</code>.`, {parse_mode: 'HTML'});
+        }
+    },
+    // --- 2c. EXPORT & IMPORT ---
+    {
+        name: 'export',
+        params: [{ name: 'format', choices: ['md', 'json'], optional: true }],
+        section: 'basic',
+        description: "Download this conversation",
+        async run({ bot, chatId, params, convoId, chatKeys, threads, dbKey, summaryKey }) {
+            const format = params.format || 'md';
+
+            const history = await kv.get(dbKey) || [];
+            const summary = await kv.get(summaryKey);
+            if (history.length === 0 && !summary) {
+                await bot.sendMessage(chatId, "ℹ️ Nothing to export yet.");
+                return;
+            }
+
+            const meta = {
+                chatId: convoId,
+                thread: threads.active,
+                exportedAt: Date.now(),
+                model: await resolveChatModel(chatKeys, await loadActivePersona(chatKeys)),
+                summary: summary || null
+            };
+            const isJson = format === 'json';
+            const content = isJson ? historyToJson(history, meta) : historyToMarkdown(history, meta);
+            const stamp = new Date(meta.exportedAt).toISOString().slice(0, 10);
+
+            await bot.sendChatAction(chatId, 'upload_document');
+            await bot.sendDocument(chatId, Buffer.from(content, 'utf8'),
+                { caption: `📦 ${history.length} messages from thread "${threads.active}"` },
+                { filename: `chat-${threads.active}-${stamp}.${format}`, contentType: isJson ? 'application/json' : 'text/markdown' }
+            );
+        }
+    },
+    {
+        name: 'import',
+        section: 'basic',
+        description: "Restore a JSON export (as caption or reply)",
+        async run({ bot, body, chatId, threads, dbKey, summaryKey, lockName }) {
+            // The file can carry /import as its caption, or /import can reply to it
+            const doc = body.message.document || body.message.reply_to_message?.document;
+            if (!doc) {
+                await bot.sendMessage(chatId, "⚠️ Send a JSON file from <code>/export json</code> with the caption <code>/import</code>, or reply <code>/import</code> to it.", {parse_mode: 'HTML'});
+                return;
+            }
+            if ((doc.file_size || 0) > MAX_IMPORT_BYTES) {
+                await bot.sendMessage(chatId, "⚠️ File is too large (max 512 KB).");
+                return;
+            }
+
+            try {
+                const buffer = await downloadTelegramFile(bot, doc.file_id);
+                if (buffer.length > MAX_IMPORT_BYTES) throw new Error("File is too large (max 512 KB).");
+                const { history, summary } = parseImportedHistory(buffer.toString('utf8'));
+
+                await withLock(lockName, async () => {
+                    await kv.set(dbKey, history);
+                    if (summary) await kv.set(summaryKey, summary);
+                    else await kv.del(summaryKey);
+                }, CHAT_EDIT_LOCK);
+                await bot.sendMessage(chatId, `✅ <b>Imported ${history.length} messages</b> into thread <code>${threads.active}</code>.`, {parse_mode: 'HTML'});
+            } catch (e) {
+                await bot.sendMessage(chatId, `❌ Import failed: ${e.message}`);
+            }
+        }
+    },
+    {
+        name: 'memory',
+        args: '[set <text>|clear|on|off]',
+        section: 'basic',
+        description: "View or edit the summary",
+        async run({ bot, chatId, args, summaryKey, memoryModeKey, lockName }) {
+            if (args.startsWith('set')) {
+                const input = args.replace(/^set/, '').trim();
+                if (!input) {
+                    await bot.sendMessage(chatId, "⚠️ Usage: <code>/memory set &lt;summary text&gt;</code>", {parse_mode: 'HTML'});
+                } else {
+                    await withLock(lockName, () => kv.set(summaryKey, input.slice(0, MAX_SUMMARY_CHARS)), CHAT_EDIT_LOCK);
+                    await bot.sendMessage(chatId, "✅ <b>Memory summary updated.</b>", {parse_mode: 'HTML'});
+                }
+            } else if (args === 'clear') {
+                await withLock(lockName, () => kv.del(summaryKey), CHAT_EDIT_LOCK);
+                await bot.sendMessage(chatId, "🗑️ <b>Memory summary cleared.</b> Recent messages are kept.", {parse_mode: 'HTML'});
+            } else if (args === 'on' || args === 'off') {
+                if (args === 'off') await kv.set(memoryModeKey, 'off');
+                else await kv.del(memoryModeKey);
+                await bot.sendMessage(chatId, args === 'on'
+                    ? "🧠 <b>Summary memory on.</b> Older messages will be summarized instead of dropped."
+                    : "✂️ <b>Summary memory off.</b> Only the last 20 messages are kept.", {parse_mode: 'HTML'});
+            } else {
+                const summary = await kv.get(summaryKey);
+                if (summary) {
+                    await bot.sendMessage(chatId, `<b>🧠 Conversation Summary</b>\n\n${escapeHtml(summary)}\n\n<i>Edit with /memory set &lt;text&gt;</i>`, {parse_mode: 'HTML'});
+                } else {
+                    await bot.sendMessage(chatId, "ℹ️ No summary yet. One is created once the conversation gets long.");
+                }
+            }
+        }
+    },
+    {
+        name: 'use',
+        params: [{ name: 'model' }],
+        section: 'ai',
+        description: "Switch AI model",
+        async run({ bot, chatId, params: { model: newModel }, modelKey, chatKeys }) {
+            const resolved = await resolveModelName(newModel);
+            if (resolved.id) {
+                await kv.set(modelKey, resolved.id);
+                const note = resolved.verified ? '' : `\n<i>(Model list unavailable, name not verified)</i>`;
+                const { settings } = await resolveSettings(chatKeys, await loadActivePersona(chatKeys));
+                const warnings = formatWarnings(settingWarnings(settings, resolved.id));
+                await bot.sendMessage(chatId, `✅ Switched to: <code>${escapeHtml(resolved.id)}</code>${note}${warnings}`, {parse_mode: 'HTML'});
+            } else if (resolved.suggestions.length > 0) {
+                const list = resolved.suggestions.map(id => `• <code>${escapeHtml(id)}</code>`).join('\n');
+                await bot.sendMessage(chatId, `❓ Unknown model <code>${escapeHtml(newModel)}</code>. Did you mean:\n\n${list}`, {parse_mode: 'HTML'});
+            } else {
+                await bot.sendMessage(chatId, `❓ Unknown model <code>${escapeHtml(newModel)}</code>. See /models for the full list.`, {parse_mode: 'HTML'});
+            }
+        }
+    },
+    {
+        name: 'fallback',
+        args: '[set <models>|clear]',
+        section: 'ai',
+        description: "Backup models",
+        async run({ bot, chatId, args, fallbackKey }) {
+            if (args.startsWith('set')) {
+                const requested = args.replace(/^set/, '').split(/[\s,]+/).filter(Boolean);
+                if (requested.length === 0) {
+                    await bot.sendMessage(chatId, "⚠️ Usage: <code>/fallback set gpt-4o, gemini-2.5-flash</code>", {parse_mode: 'HTML'});
+                    return;
+                }
+                const chain = [];
+                const unknown = [];
+                for (const name of requested) {
+                    const resolved = await resolveModelName(name);
+                    if (resolved.id) chain.push(resolved.id);
+                    else unknown.push(name);
+                }
+                if (unknown.length > 0) {
+                    await bot.sendMessage(chatId, `❓ Unknown model(s): <code>${escapeHtml(unknown.join(', '))}</code>. Nothing saved.`, {parse_mode: 'HTML'});
+                    return;
+                }
+                await kv.set(fallbackKey, chain);
+                await bot.sendMessage(chatId, `✅ <b>Fallback chain set:</b>\n<code>${escapeHtml(chain.join(' → '))}</code>`, {parse_mode: 'HTML'});
+            } else if (args === 'clear') {
+                await kv.del(fallbackKey);
+                await bot.sendMessage(chatId, `🔄 Fallback chain reverted to default: <code>${escapeHtml(FALLBACK_MODELS.join(' → '))}</code>`, {parse_mode: 'HTML'});
+            } else {
+                const chain = await kv.get(fallbackKey);
+                const shown = chain || FALLBACK_MODELS;
+                await bot.sendMessage(chatId, `<b>↪️ Fallback Chain</b> ${chain ? '(Chat Set)' : '(Default)'}\n<code>${escapeHtml(shown.join(' → ') || 'none')}</code>`, {parse_mode: 'HTML'});
+            }
+        }
+    },
+    {
+        name: 'reset',
+        section: 'ai',
+        description: "Revert to default model",
+        async run({ bot, chatId, modelKey, chatKeys }) {
+            await kv.del(modelKey);
+            const persona = await loadActivePersona(chatKeys);
+            if (persona?.model) {
+                await bot.sendMessage(chatId, `🔄 Reverted to persona <b>${escapeHtml(persona.name)}</b>'s model: <code>${escapeHtml(persona.model)}</code>`, {parse_mode: 'HTML'});
+            } else {
+                await bot.sendMessage(chatId, `🔄 Reverted to the default model: <code>${DEFAULT_MODEL}</code>`, {parse_mode: 'HTML'});
+            }
+        }
+    },
+    {
+        name: 'set',
+        params: [{ name: 'key', choices: Object.keys(GENERATION_SETTINGS) }, { name: 'value', type: 'text' }],
+        section: 'ai',
+        description: "Change a generation setting (see /settings)",
+        async run({ bot, chatId, params: { key, value }, chatKeys, settingsKey }) {
+            const setting = GENERATION_SETTINGS[key];
+
+            const own = await kv.get(settingsKey) || {};
+            if (value.toLowerCase() === 'default') {
+                delete own[key];
+            } else {
+                try {
+                    own[key] = setting.parse(value);
+                } catch (e) {
+                    await bot.sendMessage(chatId, `⚠️ ${escapeHtml(e.message)}.`, {parse_mode: 'HTML'});
+                    return;
+                }
+            }
+            if (Object.keys(own).length > 0) await kv.set(settingsKey, own);
+            else await kv.del(settingsKey);
+
+            const persona = await loadActivePersona(chatKeys);
+            const { settings, sources } = await resolveSettings(chatKeys, persona);
+            const warnings = key in settings ? formatWarnings(settingWarnings({ [key]: settings[key] }, await resolveChatModel(chatKeys, persona))) : '';
+            const shown = !(key in settings) ? 'default'
+                : `<code>${escapeHtml(formatSettingValue(settings[key]))}</code>${sources[key] === 'persona' ? ' (from the persona)' : ''}`;
+            await bot.sendMessage(chatId, `✅ <b>${key}</b> set to ${shown}.${warnings}`, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'settings',
+        params: [{ name: 'action', choices: ['reset'], optional: true }],
+        section: 'ai',
+        description: "Show generation settings",
+        async run({ bot, chatId, params, chatKeys, settingsKey }) {
+            if (params.action === 'reset') {
+                await kv.del(settingsKey);
+                await bot.sendMessage(chatId, "🔄 <b>Settings reset.</b> Replies use the model defaults again.", {parse_mode: 'HTML'});
+                return;
+            }
+            const persona = await loadActivePersona(chatKeys);
+            const { settings, sources } = await resolveSettings(chatKeys, persona);
+            const model = await resolveChatModel(chatKeys, persona);
+
+            let msg = `<b>⚙️ Generation Settings</b>\nModel: <code>${escapeHtml(model)}</code>\n`;
+            Object.entries(GENERATION_SETTINGS).forEach(([key, setting]) => {
+                const value = key in settings
+                    ? `<code>${escapeHtml(formatSettingValue(settings[key]))}</code>${sources[key] === 'persona' ? ' (Persona)' : ''}`
+                    : '<i>default</i>';
+                msg += `\n• <b>${key}:</b> ${value}\n    <i>${escapeHtml(setting.description)}</i>`;
+            });
+            if (Object.keys(settings).length > 0) msg += '\n';
+            msg += formatWarnings(settingWarnings(settings, model));
+            msg += `\n\n<i>/set &lt;key&gt; &lt;value&gt; · /set &lt;key&gt; default · /settings reset</i>`;
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    // --- 3. PROMPT MANAGEMENT ---
+    {
+        name: 'prompt',
+        args: '[set <text>]',
+        section: 'prompt',
+        description: "View or set custom system behavior",
+        async run({ bot, chatId, args, promptKey, personaKey, chatKeys }) {
+            // SET: "/prompt set <text>"
+            if (/^set(\s|$)/i.test(args)) {
+                const input = args.replace(/^set/i, '').trim();
+
+                if (!input) {
+                    await bot.sendMessage(chatId, "Prompt is empty and null.");
+                } else {
+                    // An ad-hoc prompt replaces whatever persona was active
+                    const persona = await loadActivePersona(chatKeys);
+                    await kv.set(promptKey, input);
+                    await kv.del(personaKey);
+                    const note = persona ? `\n<i>Persona ${escapeHtml(persona.name)} switched off.</i>` : '';
+                    await bot.sendMessage(chatId, `✅ <b>Custom Prompt Set!</b>\n\nIt will be appended to the system instructions.${note}`, { parse_mode: 'HTML' });
+                }
+                return;
+            }
+
+            // VIEW: "/prompt"
+            const persona = await loadActivePersona(chatKeys);
+            const current = await kv.get(promptKey);
+            if (persona) {
+                await bot.sendMessage(chatId, `<b>🎭 Persona ${escapeHtml(persona.name)}:</b>\n\n<code>${escapeHtml(persona.prompt)}</code>\n\n<i>/persona off to go back to ${current ? 'your custom prompt' : 'the default'}.</i>`, { parse_mode: 'HTML' });
+            } else if (current) {
+                await bot.sendMessage(chatId, `<b>📜 Current Custom Prompt:</b>\n\n<code>${escapeHtml(current)}</code>`, { parse_mode: 'HTML' });
+            } else {
+                await bot.sendMessage(chatId, "System Prompt is default.");
+            }
+        }
+    },
+    {
+        name: 'clearprompt',
+        section: 'prompt',
+        description: "Remove custom prompt",
+        async run({ bot, chatId, promptKey, personaKey }) {
+            await kv.del(promptKey, personaKey);
+            await bot.sendMessage(chatId, "🔄 <b>Custom prompt cleared.</b> Reverted to global defaults.", { parse_mode: 'HTML' });
+        }
+    },
+    {
+        name: 'persona',
+        args: '[save|use|delete <name>|off]',
+        section: 'prompt',
+        description: "Saved prompt & model presets",
+        async run({ bot, chatId, userId, args, isAdmin, chatKeys, modelKey, promptKey, personaKey, personasKey }) {
+            const match = args.match(/^(\S+)(?:\s+(\S+))?(?:\s+([\s\S]*))?$/);
+            const action = match ? match[1].toLowerCase() : 'list';
+            const name = match && match[2] ? match[2].toLowerCase() : '';
+            const { own, shared } = await loadPersonas(personasKey);
+            const active = await loadActivePersona(chatKeys);
+
+            const needsName = ['save', 'use', 'delete', 'publish', 'unpublish'].includes(action);
+            if (needsName && !PERSONA_NAME_PATTERN.test(name)) {
+                await bot.sendMessage(chatId, `⚠️ Usage: <code>/persona ${action} &lt;name&gt;</code> (a-z, 0-9, _ and -, up to 32)`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (['publish', 'unpublish'].includes(action) && !isAdmin) {
+                await bot.sendMessage(chatId, "⛔ <b>Admin only.</b> You don't have permission to use this command.", {parse_mode: 'HTML'});
+                return;
+            }
+
+            if (action === 'save') {
+                // Saves the given prompt, or whatever this thread is using now, with the current model
+                const prompt = (match[3] || '').trim() || active?.prompt || await kv.get(promptKey);
+                if (!prompt) {
+                    await bot.sendMessage(chatId, "⚠️ Nothing to save. Add a prompt: <code>/persona save &lt;name&gt; &lt;prompt&gt;</code>, or set one with /prompt set first.", {parse_mode: 'HTML'});
+                    return;
+                }
+                if (!own[name] && Object.keys(own).length >= MAX_PERSONAS) {
+                    await bot.sendMessage(chatId, `⚠️ This chat already has ${MAX_PERSONAS} personas. Delete one first.`);
+                    return;
+                }
+                const model = await resolveChatModel(chatKeys, active);
+                const { settings } = await resolveSettings(chatKeys, active);
+                own[name] = { prompt, model, settings, savedBy: userId, savedAt: Date.now() };
+                await kv.set(personasKey, own);
+                await bot.sendMessage(chatId, `✅ <b>Saved persona</b> <code>${name}</code> on <code>${escapeHtml(model)}</code>.\nSwitch to it with <code>/persona use ${name}</code>.`, {parse_mode: 'HTML'});
+            } else if (action === 'use') {
+                const isGlobal = !own[name] && Boolean(shared[name]);
+                const persona = own[name] || shared[name];
+                if (!persona) {
+                    await bot.sendMessage(chatId, `❓ No persona <code>${name}</code>. See /persona.`, {parse_mode: 'HTML'});
+                    return;
+                }
+                await kv.set(personaKey, { name, global: isGlobal });
+                await kv.del(modelKey);   // Let the persona's model apply
+                const model = persona.model || DEFAULT_MODEL;
+                const { settings } = await resolveSettings(chatKeys, persona);
+                const warnings = formatWarnings(settingWarnings(settings, model));
+                await bot.sendMessage(chatId, `🎭 <b>Now using</b> <code>${name}</code>${isGlobal ? ' (Global)' : ''} on <code>${escapeHtml(model)}</code>.${warnings}`, {parse_mode: 'HTML'});
+            } else if (action === 'off') {
+                await kv.del(personaKey);
+                const fallback = await kv.get(promptKey) ? 'your custom prompt' : 'the default prompt';
+                await bot.sendMessage(chatId, `🔄 <b>Persona off.</b> Back to ${fallback} and <code>${escapeHtml(await resolveChatModel(chatKeys, null))}</code>.`, {parse_mode: 'HTML'});
+            } else if (action === 'delete') {
+                if (!own[name]) {
+                    const hint = shared[name] && isAdmin ? ` Global ones are removed with <code>/persona unpublish ${name}</code>.` : '';
+                    await bot.sendMessage(chatId, `❓ This chat has no persona <code>${name}</code>.${hint}`, {parse_mode: 'HTML'});
+                    return;
+                }
+                delete own[name];
+                await kv.set(personasKey, own);
+                if (active && !active.global && active.name === name) await kv.del(personaKey);
+                await bot.sendMessage(chatId, `🗑️ Deleted persona <code>${name}</code>.`, {parse_mode: 'HTML'});
+            } else if (action === 'publish') {
+                if (!own[name]) {
+                    await bot.sendMessage(chatId, `❓ Save it in this chat first: <code>/persona save ${name}</code>`, {parse_mode: 'HTML'});
+                    return;
+                }
+                shared[name] = { ...own[name], savedBy: userId, savedAt: Date.now() };
+                await kv.set(GLOBAL_PERSONAS_KEY, shared);
+                await bot.sendMessage(chatId, `🌐 Published <code>${name}</code>. Every chat can now <code>/persona use ${name}</code>.`, {parse_mode: 'HTML'});
+            } else if (action === 'unpublish') {
+                if (!shared[name]) {
+                    await bot.sendMessage(chatId, `❓ No global persona <code>${name}</code>.`, {parse_mode: 'HTML'});
+                    return;
+                }
+                delete shared[name];
+                await kv.set(GLOBAL_PERSONAS_KEY, shared);
+                await bot.sendMessage(chatId, `🗑️ Unpublished <code>${name}</code>.`, {parse_mode: 'HTML'});
+            } else if (action === 'list') {
+                const describe = (personaName, p, isGlobal) => {
+                    const isActive = active && active.name === personaName && active.global === isGlobal;
+                    const preview = p.prompt.length > 60 ? `${p.prompt.slice(0, 60)}…` : p.prompt;
+                    return `${isActive ? '✅' : '•'} <code>${personaName}</code> · <code>${escapeHtml(p.model || DEFAULT_MODEL)}</code>\n    <i>${escapeHtml(preview)}</i>\n`;
+                };
+                const ownNames = Object.keys(own).sort();
+                const sharedNames = Object.keys(shared).sort();
+                if (ownNames.length === 0 && sharedNames.length === 0) {
+                    await bot.sendMessage(chatId, "🎭 No personas yet. Save this thread's prompt and model with <code>/persona save &lt;name&gt;</code>.", {parse_mode: 'HTML'});
+                    return;
+                }
+                let msg = `<b>🎭 Personas</b>\n`;
+                if (ownNames.length) msg += `\n<b>This chat</b>\n` + ownNames.map(n => describe(n, own[n], false)).join('');
+                if (sharedNames.length) msg += `\n<b>Global</b>\n` + sharedNames.map(n => describe(n, shared[n], true)).join('');
+                msg += `\n<i>/persona use &lt;name&gt; · /persona save &lt;name&gt; [prompt] · /persona delete &lt;name&gt; · /persona off</i>`;
+                if (isAdmin) msg += `\n<i>Admins: /persona publish|unpublish &lt;name&gt;</i>`;
+                await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+            } else {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/persona [list|save|use|delete &lt;name&gt;|off]</code>", {parse_mode: 'HTML'});
+            }
+        }
+    },
+    // --- 4. STATS & CLEANUP ---
+    {
+        name: 'stat',
+        section: 'ai',
+        description: "Show current model & stats",
+        async run({ bot, chatId, isAdmin, chatKeys, threads, dbKey, modelKey, promptKey, summaryKey, speakKey, streamKey, memoryModeKey }) {
+            try {
+                await bot.sendChatAction(chatId, 'typing');
+                const storedModel = await kv.get(modelKey);
+                const persona = await loadActivePersona(chatKeys);
+                const currentModel = await resolveChatModel(chatKeys, persona);
+                const modelSource = storedModel ? '(User Set)' : persona?.model ? '(Persona)' : '(Default)';
+                const history = await kv.get(dbKey) || [];
+                const summary = await kv.get(summaryKey);
+                const memoryMode = await kv.get(memoryModeKey);
+                const tokens = await getAllTokens();
+                const healths = await getTokenHealth(tokens);
+                const benched = tokens.map((t, i) => ({ t, i, h: healths[i] })).filter(e => (e.h.cooldownUntil || 0) > Date.now());
+                const customPrompt = await kv.get(promptKey);
+
+                let statMsg = `<b>ℹ️ System Status</b>\n\n` +
+                                `• <b>Thread:</b> <code>${threads.active}</code> (${threads.names.length} total)\n` +
+                                `• <b>Current Model:</b> <code>${escapeHtml(currentModel)}</code> ${modelSource}\n` +
+                                `• <b>Memory Depth:</b> <code>${history.length}</code> messages\n` +
+                                `• <b>Summary:</b> <code>${summary ? summary.length : 0}</code> chars${memoryMode === 'off' ? ' (Off)' : ''}\n` +
+                                `• <b>Active Tokens:</b> <code>${tokens.length - benched.length}</code>${benched.length ? ` (+${benched.length} benched)` : ''}\n` +
+                                `• <b>Router Model:</b> <code>${ROUTER_MODEL}</code>`;
+                
+                const { settings } = await resolveSettings(chatKeys, persona);
+                const settingList = Object.entries(settings).map(([key, value]) => `${key} ${formatSettingValue(value)}`);
+                if (settingList.length) statMsg += `\n• <b>Settings:</b> <code>${escapeHtml(settingList.join(', '))}</code>`;
+                if (persona) statMsg += `\n• <b>Persona:</b> <code>${escapeHtml(persona.name)}</code>${persona.global ? ' (Global)' : ''} 🎭`;
+                else if (customPrompt) statMsg += `\n• <b>Custom Prompt:</b> Active ✅`;
+                if (await kv.get(speakKey)) statMsg += `\n• <b>Voice Replies:</b> On 🔊`;
+                if (await kv.get(streamKey)) statMsg += `\n• <b>Streaming:</b> On ⚡`;
+                const searchProviders = SEARCH_PROVIDER_ORDER.filter(name => SEARCH_PROVIDERS[name]?.isConfigured());
+                statMsg += `\n• <b>Web Search:</b> ${searchProviders.length ? searchProviders.join(' → ') : 'Not configured'}`;
+                if (isAdmin && benched.length > 0) {
+                    statMsg += `\n\n<b>⏸️ Benched Tokens</b>`;
+                    benched.forEach(({ t, i, h }) => {
+                        const mins = Math.ceil((h.cooldownUntil - Date.now()) / 60000);
+                        statMsg += `\n• Token ${i + 1} (...${t.slice(-4)}): ${mins}m left (${escapeHtml(h.failureReason || 'unknown')})`;
+                    });
+                }
+
+                await bot.sendMessage(chatId, statMsg, {parse_mode: 'HTML'});
+            } catch (e) {
+                await bot.sendMessage(chatId, `⚠️ Error fetching stats: ${e.message}`);
             }
+        }
+    },
+    {
+        name: 'cleartokens',
+        role: 'admin',
+        section: 'tokens',
+        description: "Delete all database tokens",
+        async run({ bot, chatId }) {
+            await updateExtraTokens(() => []);
+            await bot.sendMessage(chatId, "🗑️ Database tokens cleared.");
+        }
+    },
+    // --- NEW: PRUNE COMMAND ---
+    {
+        name: 'prune',
+        role: 'admin',
+        section: 'tokens',
+        description: "Auto-delete empty tokens ($0.00)",
+        async run({ bot, chatId }) {
+            await bot.sendChatAction(chatId, 'typing');
+            const dynamicTokens = await kv.get('extra_tokens') || [];
 
-            // --- 6. IMAGE GENERATION (FLUX DEV ONLY) ---
-            if (userMessage.startsWith('/image')) {
-                let prompt = userMessage.replace('/image', '').trim();
-                let selectedModel = IMAGE_MODELS['default'];
-                let modelName = 'Flux Dev';
+            if (dynamicTokens.length === 0) {
+                await bot.sendMessage(chatId, "ℹ️ No database tokens to prune.");
+                return;
+            }
 
-                if (!prompt) {
-                    await bot.sendMessage(chatId, 
-                        `⚠️ <b>Usage:</b> <code>/image &lt;description&gt;</code>\n\n` + 
-                        `<b>Example:</b> <code>/image a futuristic city</code>`, 
-                        {parse_mode: 'HTML'}
-                    );
-                    return res.status(200).json({});
-                }
+            await bot.sendMessage(chatId, `⏳ <b>Checking ${dynamicTokens.length} tokens...</b>`, {parse_mode: 'HTML'});
 
-                await bot.sendChatAction(chatId, 'upload_photo');
-                
+            // Parallel check for speed
+            const results = await Promise.all(dynamicTokens.map(async (token) => {
                 try {
-                    const tokens = await getAllTokens();
-                    const token = tokens[Math.floor(Math.random() * tokens.length)];
                     const puter = init(token);
-                    
-                    const imageResult = await puter.ai.txt2img(prompt, { model: selectedModel });
-                    
-                    let src = imageResult?.src || imageResult;
-                    if (typeof src !== 'string') throw new Error(`Invalid response type: ${typeof src}`);
-
-                    let finalImage;
-                    if (src.startsWith('http')) {
-                        finalImage = src; 
-                    } else if (src.startsWith('data:image')) {
-                        const base64Data = src.split(',')[1];
-                        finalImage = Buffer.from(base64Data, 'base64');
-                    } else {
-                        finalImage = Buffer.from(src, 'base64');
-                    }
+                    const usage = await puter.auth.getMonthlyUsage();
+                    const remaining = usage?.allowanceInfo?.remaining;
+                    await recordTokenBalance(token, remaining);
+                    // Return null if balance is 0 or less
+                    if (typeof remaining === 'number' && remaining <= 0) return null;
+                    return token;
+                } catch (e) {
+                    // If check fails (network/auth), keep token to be safe
+                    return token;
+                }
+            }));
 
-                    // Safe Caption using HTML
-                    const safePrompt = prompt.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-                    await bot.sendPhoto(chatId, finalImage, {
-                        caption: `🎨 <b>Generated by ${modelName}:</b>\n${safePrompt}`,
-                        parse_mode: 'HTML'
-                    });
+            // Balance checks are slow, so the list is re-read under the lock and
+            // only the empty tokens are removed; tokens added meanwhile survive
+            const emptyTokens = dynamicTokens.filter((t, i) => results[i] === null);
+            const removedCount = emptyTokens.length;
 
-                } catch (e) {
-                    console.warn(`Image failed:`, e.message);
-                    await bot.sendMessage(chatId, `❌ Image failed: ${e.message}`);
+            if (removedCount > 0) {
+                const { after: keptTokens } = await updateExtraTokens(tokens => tokens.filter(t => !emptyTokens.includes(t)));
+                await bot.sendMessage(chatId, `✂️ <b>Prune Complete!</b>\n\n🗑️ Deleted: <code>${removedCount}</code> empty tokens.\n✅ Remaining: <code>${keptTokens.length}</code> valid tokens.`, {parse_mode: 'HTML'});
+            } else {
+                await bot.sendMessage(chatId, "✅ <b>No empty tokens found.</b>");
+            }
+        }
+    },
+    // --- 5. MANUAL TOKEN DELETION ---
+    {
+        name: 'deltoken',
+        aliases: ['deltokens'],
+        params: [{ name: 'numbers', type: 'text' }],
+        role: 'admin',
+        section: 'tokens',
+        description: "Delete specific tokens (e.g. 1, 2, 3)",
+        async run({ bot, chatId, params }) {
+            const indices = params.numbers.split(/[\s,]+/).map(n => parseInt(n.trim())).filter(n => !isNaN(n));
+
+            if (indices.length === 0) {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/deltoken 1</code> or <code>/deltokens 1, 2, 3</code>", {parse_mode: 'HTML'});
+                return;
+            }
+
+            const rawStatic = process.env.PUTER_AUTH_TOKEN || "";
+            const staticTokens = rawStatic.split(',').map(t => t.trim()).filter(Boolean);
+            const dynamicTokens = await kv.get('extra_tokens') || [];
+            const combined = [...new Set([...staticTokens, ...dynamicTokens])];
+
+            const tokensToDelete = [];
+            const errors = [];
+
+            for (const idx of indices) {
+                const targetIndex = idx - 1;
+                if (targetIndex < 0 || targetIndex >= combined.length) {
+                    errors.push(`#${idx} (Not found)`);
+                    continue;
+                }
+                const tokenStr = combined[targetIndex];
+                if (staticTokens.includes(tokenStr)) {
+                    errors.push(`#${idx} (ENV var)`);
+                    continue;
                 }
-                return res.status(200).json({});
+                tokensToDelete.push(tokenStr);
             }
 
-            // --- 7. ADVANCED COMMANDS ---
-            if (userMessage === '/bal') {
-                try {
-                    await bot.sendChatAction(chatId, 'typing');
-                    const tokens = await getAllTokens();
-                    let grandTotal = 0.0;
-                    for (const token of tokens) {
+            if (tokensToDelete.length > 0) {
+                await updateExtraTokens(tokens => tokens.filter(t => !tokensToDelete.includes(t)));
+                let msg = `✅ <b>Deleted ${tokensToDelete.length} token(s).</b>`;
+                if (errors.length > 0) msg += `\n\n⚠️ Skipped:\n${errors.join('\n')}`;
+                await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+            } else {
+                await bot.sendMessage(chatId, `⚠️ No tokens deleted.\nReason: ${errors.join(', ')}`);
+            }
+        }
+    },
+    // --- 5b. ROLE MANAGEMENT (ADMIN) ---
+    {
+        name: 'grant',
+        params: [{ name: 'id', type: 'id' }, { name: 'role', choices: ['admin', 'user'], optional: true }],
+        role: 'admin',
+        section: 'access',
+        description: "Give a user access",
+        async run({ bot, chatId, params }) {
+            const targetId = params.id;
+            const newRole = params.role || 'user';
+
+            const roles = await kv.get('user_roles') || {};
+            roles[targetId] = newRole;
+            await kv.set('user_roles', roles);
+            await bot.sendMessage(chatId, `✅ <b>Granted</b> <code>${newRole}</code> to <code>${targetId}</code>.`, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'revoke',
+        params: [{ name: 'id', type: 'id' }],
+        role: 'admin',
+        section: 'access',
+        description: "Remove a granted role",
+        async run({ bot, chatId, params: { id: targetId } }) {
+            if (parseIdList(process.env.ADMINS).includes(targetId)) {
+                await bot.sendMessage(chatId, "⚠️ That user is an admin via the ADMINS env var and can't be revoked here.");
+                return;
+            }
+
+            const roles = await kv.get('user_roles') || {};
+            if (!roles[targetId]) {
+                await bot.sendMessage(chatId, `ℹ️ <code>${targetId}</code> has no granted role.`, {parse_mode: 'HTML'});
+                return;
+            }
+            delete roles[targetId];
+            await kv.set('user_roles', roles);
+            await bot.sendMessage(chatId, `🗑️ <b>Revoked</b> access for <code>${targetId}</code>.`, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'roles',
+        role: 'admin',
+        section: 'access',
+        description: "List granted roles",
+        async run({ bot, chatId }) {
+            const roles = await kv.get('user_roles') || {};
+            let msg = `<b>🔐 Roles</b>\n\n`;
+            parseIdList(process.env.ADMINS).forEach(id => { msg += `• <code>${id}</code> admin <code>[ENV]</code>\n`; });
+            Object.entries(roles).forEach(([id, r]) => { msg += `• <code>${id}</code> ${r} <code>[DB]</code>\n`; });
+            msg += `\n<i>Whitelisted chats (ENV):</i> <code>${parseIdList(process.env.WHITELIST).length}</code>`;
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    // --- 5e. USAGE & BUDGETS ---
+    {
+        name: 'usage',
+        params: [{ name: 'chat_id', type: 'id', optional: true }],
+        section: 'ai',
+        description: "Estimated spend by day & model",
+        async run({ bot, chatId, userId, params: { chat_id: target }, isAdmin, isGroup }) {
+            if (target && !isAdmin) {
+                await bot.sendMessage(chatId, "⛔ Only admins can see another chat's usage. Use plain /usage.");
+                return;
+            }
+
+            const targetChat = target || String(chatId);
+            const records = await loadUsageRecords(targetChat);
+            const isGroupChat = !target && isGroup;
+            // In groups, members see their own share; the chat total is shown separately
+            const shown = isGroupChat ? records.filter(r => String(r.user) === String(userId)) : records;
+            let msg = formatUsageReport(shown, isGroupChat ? "📊 Your Usage Here" : `📊 Usage${target ? ` of ${escapeHtml(target)}` : ''}`);
+            if (isGroupChat) msg += `\n\n<b>Whole chat:</b> ${formatUsd(records.reduce((sum, r) => sum + r.cost, 0))}`;
+
+            const budget = await checkBudget(targetChat);
+            if (budget) {
+                msg += `\n\n<b>Budget</b> (${budget.action})`;
+                if (budget.daily) msg += `\n• Today: ${formatUsd(budget.spentDay)} / ${formatUsd(budget.daily)}`;
+                if (budget.monthly) msg += `\n• This month: ${formatUsd(budget.spentMonth)} / ${formatUsd(budget.monthly)}`;
+                if (budget.exceeded) msg += `\n⚠️ ${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} budget exceeded.`;
+            }
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'budget',
+        args: '[chat_id] [daily|monthly <usd>|action <block|downgrade>|clear]',
+        role: 'admin',
+        section: 'budgets',
+        description: "Show or set a spend limit",
+        async run({ bot, chatId, args }) {
+            const words = args.split(/\s+/).filter(Boolean);
+            // An optional leading chat id lets admins budget a group from a private chat
+            const targetChat = /^-?\d+$/.test(words[0] || '') ? words.shift() : String(chatId);
+            const [field, value] = words;
+            const budgetKey = `budget:${targetChat}`;
+            const budget = await kv.get(budgetKey) || {};
+
+            if (!field) {
+                const status = await checkBudget(targetChat);
+                await bot.sendMessage(chatId, status
+                    ? `<b>💸 Budget for <code>${escapeHtml(targetChat)}</code></b>\n• Daily: ${status.daily ? formatUsd(status.daily) : 'none'} (spent ${formatUsd(status.spentDay)})\n• Monthly: ${status.monthly ? formatUsd(status.monthly) : 'none'} (spent ${formatUsd(status.spentMonth)})\n• When exceeded: ${status.action}`
+                    : `ℹ️ No budget set for <code>${escapeHtml(targetChat)}</code>.\n\nUsage: <code>/budget [chat_id] daily|monthly &lt;usd&gt;</code>, <code>/budget [chat_id] action block|downgrade</code>, <code>/budget [chat_id] clear</code>`,
+                    {parse_mode: 'HTML'});
+                return;
+            }
+
+            if (field === 'clear') {
+                await kv.del(budgetKey);
+                await bot.sendMessage(chatId, `🗑️ Budget cleared for <code>${escapeHtml(targetChat)}</code>.`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (['daily', 'monthly'].includes(field) && /^\d+(\.\d+)?$/.test(value || '')) {
+                const amount = parseFloat(value);
+                if (amount > 0) budget[field] = amount;
+                else delete budget[field];
+            } else if (field === 'action' && ['block', 'downgrade'].includes(value)) {
+                budget.action = value;
+            } else {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/budget [chat_id] daily|monthly &lt;usd&gt;</code> (0 removes), <code>/budget [chat_id] action block|downgrade</code>, or <code>/budget [chat_id] clear</code>", {parse_mode: 'HTML'});
+                return;
+            }
+            await kv.set(budgetKey, budget);
+            await bot.sendMessage(chatId, `✅ Budget for <code>${escapeHtml(targetChat)}</code>: daily ${budget.daily ? formatUsd(budget.daily) : 'none'}, monthly ${budget.monthly ? formatUsd(budget.monthly) : 'none'}, ${budget.action || 'block'} when exceeded.`, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'stream',
+        section: 'ai',
+        description: "Toggle live streaming replies",
+        async run({ bot, chatId, streamKey }) {
+            const enabled = !(await kv.get(streamKey));
+            if (enabled) await kv.set(streamKey, true);
+            else await kv.del(streamKey);
+            await bot.sendMessage(chatId, enabled ? "⚡ <b>Streaming on.</b> Replies will appear as they are written." : "⏸️ <b>Streaming off.</b> Replies will arrive when complete.", {parse_mode: 'HTML'});
+        }
+    },
+    // --- 5c. VOICE COMMANDS ---
+    {
+        name: 'speak',
+        section: 'voice',
+        description: "Toggle spoken replies",
+        async run({ bot, chatId, speakKey }) {
+            const enabled = !(await kv.get(speakKey));
+            if (enabled) await kv.set(speakKey, true);
+            else await kv.del(speakKey);
+            await bot.sendMessage(chatId, enabled ? "🔊 <b>Voice replies on.</b> Answers will also be sent as audio." : "🔇 <b>Voice replies off.</b>", {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'tts',
+        params: [{ name: 'text', type: 'text' }],
+        section: 'voice',
+        description: "Read text aloud",
+        async run({ bot, chatId, params: { text } }) {
+            try {
+                await bot.sendChatAction(chatId, 'record_voice');
+                await sendSpeech(bot, chatId, text);
+            } catch (e) {
+                console.warn(`TTS failed:`, e.message);
+                await bot.sendMessage(chatId, `❌ TTS failed: ${e.message}`);
+            }
+        }
+    },
+    // --- 5d. EXPLICIT WEB SEARCH & LINKS ---
+    {
+        name: 'search',
+        params: [{ name: 'query', type: 'text' }],
+        section: 'ai',
+        description: "Answer from a web search, with sources",
+        async run({ bot, chatId, userId, params: { query }, chatKeys }) {
+            await bot.sendChatAction(chatId, 'typing');
+            await runChatTurn(bot, chatId, chatKeys, query, null, { searchQuery: query, userId });
+        }
+    },
+    {
+        name: 'summarize',
+        params: [{ name: 'url' }],
+        section: 'ai',
+        description: "Structured summary of a page",
+        async run({ bot, chatId, userId, params, chatKeys }) {
+            const [url] = extractUrls(params.url);
+            if (!url) {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/summarize &lt;url&gt;</code>", {parse_mode: 'HTML'});
+                return;
+            }
+            await bot.sendChatAction(chatId, 'typing');
+            await runChatTurn(bot, chatId, chatKeys,
+                `Summarize ${url} with these sections: TL;DR (one sentence), Key Points (bullets), ` +
+                `Notable Details (figures, dates, names) and Takeaways.`, null, { userId });
+        }
+    },
+    // --- 6. IMAGE GENERATION ---
+    {
+        name: 'image',
+        args: '<prompt> [--model m] [--ar w:h] [--n 1-4]',
+        section: 'creative',
+        description: "Generate an image",
+        async run({ bot, chatId, userId, body, args, imageModelKey }) {
+            const usage = `Usage: <code>/image [--model name] [--ar 16:9] [--n 1-${MAX_IMAGE_BATCH}] prompt</code>\nModels: /imagemodels`;
+            let request;
+            try {
+                request = parseImageArgs(args);
+            } catch (e) {
+                await bot.sendMessage(chatId, `⚠️ ${escapeHtml(e.message)}.\n\n${usage}`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (!request.prompt) {
+                await bot.sendMessage(chatId, `⚠️ ${usage}`, {parse_mode: 'HTML'});
+                return;
+            }
+
+            // A photo sent with the command, or the one it replies to, gets edited
+            const reply = body.message.reply_to_message;
+            const source = extractImageRef(body.message) || (reply ? extractImageRef(reply) : null);
+            if (!request.model) {
+                request.model = resolveImageModel(await kv.get(imageModelKey)) || DEFAULT_IMAGE_MODEL;
+                if (source && !IMAGE_MODELS[request.model].edit) request.model = DEFAULT_EDIT_MODEL;
+            } else if (source && !IMAGE_MODELS[request.model].edit) {
+                const editors = Object.keys(IMAGE_MODELS).filter(k => IMAGE_MODELS[k].edit).join(', ');
+                await bot.sendMessage(chatId, `⚠️ ${IMAGE_MODELS[request.model].name} can't edit photos. Try: <code>${editors}</code>`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (source) {
+                if (source.size > MAX_IMAGE_BYTES) {
+                    await bot.sendMessage(chatId, "⚠️ Image is too large. Please send one under 10 MB.");
+                    return;
+                }
+                request.source = { fileId: source.fileId, mime: source.mime };
+            }
+
+            await bot.sendChatAction(chatId, 'upload_photo');
+            try {
+                await generateAndSendImage(bot, chatId, request, { chatId, userId });
+            } catch (e) {
+                console.warn(`Image failed:`, e.message);
+                await bot.sendMessage(chatId, `❌ Image failed: ${e.message}`);
+            }
+        }
+    },
+    {
+        name: 'imagemodels',
+        args: '[set <name>|clear]',
+        section: 'creative',
+        description: "List image models or set this chat's default",
+        async run({ bot, chatId, args, imageModelKey }) {
+            if (args.startsWith('set')) {
+                const name = args.replace(/^set/, '').trim();
+                const model = resolveImageModel(name);
+                if (!model) {
+                    await bot.sendMessage(chatId, `❓ Unknown image model <code>${escapeHtml(name || '(none)')}</code>. See /imagemodels.`, {parse_mode: 'HTML'});
+                    return;
+                }
+                await kv.set(imageModelKey, model);
+                await bot.sendMessage(chatId, `✅ <b>Default image model:</b> ${IMAGE_MODELS[model].name} (<code>${model}</code>)`, {parse_mode: 'HTML'});
+            } else if (args === 'clear') {
+                await kv.del(imageModelKey);
+                await bot.sendMessage(chatId, `🔄 Image model reverted to default: <code>${DEFAULT_IMAGE_MODEL}</code>`, {parse_mode: 'HTML'});
+            } else {
+                const current = resolveImageModel(await kv.get(imageModelKey)) || DEFAULT_IMAGE_MODEL;
+                let msg = `<b>🎨 Image Models</b>\n\n`;
+                Object.entries(IMAGE_MODELS).forEach(([key, m]) => {
+                    msg += `${key === current ? '✅' : '•'} <code>${key}</code> — ${m.name}${m.edit ? ' ✏️' : ''}\n`;
+                });
+                msg += `\n<i>✏️ can edit photos. Pick one per image with /image --model &lt;name&gt;, or set this chat's default with /imagemodels set &lt;name&gt;.</i>`;
+                await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+            }
+        }
+    },
+    // --- 7. ADVANCED COMMANDS ---
+    {
+        name: 'bal',
+        role: 'admin',
+        section: 'tokens',
+        description: "Quick balance summary",
+        async run({ bot, chatId }) {
+            try {
+                await bot.sendChatAction(chatId, 'typing');
+                const tokens = await getAllTokens();
+                let grandTotal = 0.0;
+                for (const token of tokens) {
+                    try {
+                        const puter = init(token);
+                        const usageData = await puter.auth.getMonthlyUsage();
+                        await recordTokenBalance(token, usageData?.allowanceInfo?.remaining);
+                        if (usageData?.allowanceInfo?.remaining) {
+                            grandTotal += (usageData.allowanceInfo.remaining / 100000000);
+                        }
+                    } catch (e) { /* ignore */ }
+                }
+                const msg = `<b>💰 Balance Summary</b>\n\n• Total # of tokens: <code>${tokens.length}</code>\n• Total Balance: <code>$${grandTotal.toFixed(2)}</code>`;
+                await bot.sendMessage(chatId, msg, { parse_mode: 'HTML' });
+            } catch (e) {
+                await bot.sendMessage(chatId, "⚠️ Error fetching balance.");
+            }
+        }
+    },
+    {
+        name: 'credits',
+        role: 'admin',
+        section: 'tokens',
+        description: "Detailed token usage report",
+        async run({ bot, chatId }) {
+            try {
+                await bot.sendChatAction(chatId, 'typing');
+                const rawStatic = process.env.PUTER_AUTH_TOKEN || "";
+                const staticTokens = rawStatic.split(',').map(t => t.trim()).filter(Boolean);
+                
+                const tokens = await getAllTokens();
+                const healths = await getTokenHealth(tokens);
+                let report = `<b>📊 Detailed Report</b>\n\n`;
+                let grandTotal = 0.0;
+
+                for (let i = 0; i < tokens.length; i++) {
+                    const token = tokens[i];
+                    const mask = `${token.slice(0, 4)}...${token.slice(-4)}`;
+                    const isEnv = staticTokens.includes(token);
+                    const sourceLabel = isEnv ? "<code>[ENV]</code>" : "<code>[DB]</code>";
+
+                    try {
+                        const puter = init(token);
+                        let username = "Unknown";
+                        try {
+                            const user = await puter.auth.getUser();
+                            username = user.username || "Unknown";
+                        } catch (e) {}
+                        let balanceStr = "N/A";
                         try {
-                            const puter = init(token);
                             const usageData = await puter.auth.getMonthlyUsage();
-                            if (usageData?.allowanceInfo?.remaining) {
-                                grandTotal += (usageData.allowanceInfo.remaining / 100000000);
+                            if (usageData && usageData.allowanceInfo) {
+                                const remaining = usageData.allowanceInfo.remaining || 0;
+                                await recordTokenBalance(token, remaining);
+                                const usd = remaining / 100000000;
+                                balanceStr = `$${usd.toFixed(2)}`;
+                                grandTotal += usd;
                             }
-                        } catch (e) { /* ignore */ }
+                        } catch (e) {}
+                        
+                        report += `<b>Token ${i + 1}</b> ${sourceLabel} (${mask})\n`;
+                        report += `• User: <code>${username}</code>\n`;
+                        report += `• Available: <b>${balanceStr}</b>\n`;
+                        report += `${describeTokenHealth(healths[i])}\n\n`;
+                    } catch (e) {
+                        report += `<b>Token ${i + 1}</b> ${sourceLabel} (${mask})\n• ⚠️ Error: Invalid\n\n`;
                     }
-                    const msg = `<b>💰 Balance Summary</b>\n\n• Total # of tokens: <code>${tokens.length}</code>\n• Total Balance: <code>$${grandTotal.toFixed(2)}</code>`;
-                    await bot.sendMessage(chatId, msg, { parse_mode: 'HTML' });
-                } catch (e) {
-                    await bot.sendMessage(chatId, "⚠️ Error fetching balance.");
                 }
-                return res.status(200).json({});
+                report += `-----------------------------\n`;
+                report += `<b>💰 TOTAL: $${grandTotal.toFixed(2)}</b>\n\n`;
+                report += `<i>To delete, use:</i>\n<code>/deltokens 1, 2, 3</code>\n<i>To auto-delete empty:</i>\n<code>/prune</code>`;
+                
+                await bot.sendMessage(chatId, report, { parse_mode: 'HTML' });
+            } catch (e) {
+                await bot.sendMessage(chatId, `⚠️ Error: ${e.message}`);
+            }
+        }
+    },
+    {
+        name: 'models',
+        section: 'ai',
+        description: "Browse & pick a model",
+        async run({ bot, chatId, chatKeys }) {
+            try {
+                await bot.sendChatAction(chatId, 'typing');
+                const catalog = await fetchModelCatalog();
+                if (catalog.length === 0) throw new Error("Model list is empty");
+                const currentModel = await resolveChatModel(chatKeys, await loadActivePersona(chatKeys));
+                const picker = renderModelPicker(catalog, currentModel);
+                await bot.sendMessage(chatId, picker.text, { parse_mode: 'HTML', reply_markup: picker.reply_markup });
+            } catch (e) {
+                await bot.sendMessage(chatId, `⚠️ Could not fetch models: ${e.message}`);
+            }
+        }
+    },
+    // --- 7b. DOCUMENTS ---
+    {
+        name: 'docs',
+        section: 'ai',
+        description: "List uploaded documents",
+        async run({ bot, chatId, chatKeys }) {
+            const docs = await kv.get(chatKeys.docsKey) || [];
+            if (docs.length === 0) {
+                await bot.sendMessage(chatId, "📂 No documents yet. Send a text, Markdown, code or PDF file to add one.");
+                return;
+            }
+            let msg = `<b>📂 Documents (${docs.length}/${MAX_DOCS})</b>\n\n`;
+            docs.forEach((d, i) => {
+                msg += `${i + 1}. <code>${escapeHtml(d.name)}</code> — ${d.chunks} chunks, ${Math.ceil(d.chars / 1000)}k chars\n`;
+            });
+            msg += `\n<i>Ask about them in chat. Remove one with /forget &lt;name or number&gt;.</i>`;
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'forget',
+        params: [{ name: 'doc', type: 'text' }],
+        section: 'ai',
+        description: "Remove an uploaded document",
+        async run({ bot, chatId, params: { doc: target }, convoId, chatKeys }) {
+            const docs = await kv.get(chatKeys.docsKey) || [];
+            const doc = /^\d+$/.test(target) ? docs[parseInt(target, 10) - 1]
+                : docs.find(d => d.name.toLowerCase() === target.toLowerCase());
+            if (!target || !doc) {
+                await bot.sendMessage(chatId, "⚠️ Usage: <code>/forget &lt;name or number&gt;</code> (see /docs)", {parse_mode: 'HTML'});
+                return;
+            }
+            await forgetDocument(chatKeys.docsKey, convoId, doc);
+            await bot.sendMessage(chatId, `🗑️ Forgot <code>${escapeHtml(doc.name)}</code>.`, {parse_mode: 'HTML'});
+        }
+    },
+    // --- 7c. SCHEDULES ---
+    {
+        name: 'schedule',
+        args: '<when> <prompt>',
+        section: 'schedules',
+        description: "Run a prompt later or on repeat",
+        async run({ bot, chatId, userId, convoId, body, args }) {
+            const usage = "⚠️ Usage: <code>/schedule &lt;when&gt; &lt;prompt&gt;</code>\n\n" +
+                "<b>When</b> can be:\n" +
+                "• <code>in 30m</code>, <code>at 17:00</code>, <code>tomorrow 9am</code> (once)\n" +
+                "• <code>every 2h</code>, <code>daily 8:00</code>, <code>weekdays 9am</code>, <code>every monday 10:00</code>\n" +
+                "• a cron expression: <code>0 8 * * 1-5</code>";
+            let parsed;
+            try {
+                parsed = parseSchedule(args);
+            } catch (e) {
+                await bot.sendMessage(chatId, `${usage}\n\n<i>${escapeHtml(e.message)}.</i>`, {parse_mode: 'HTML'});
+                return;
+            }
+            const prompt = parsed.prompt.trim();
+            if (!prompt) {
+                await bot.sendMessage(chatId, usage, {parse_mode: 'HTML'});
+                return;
+            }
+            if (prompt.length > MAX_SCHEDULE_PROMPT_CHARS) {
+                await bot.sendMessage(chatId, `⚠️ Prompt too long (max ${MAX_SCHEDULE_PROMPT_CHARS} characters).`);
+                return;
+            }
+            if (shortestScheduleGap(parsed.spec) < MIN_SCHEDULE_INTERVAL_MS) {
+                await bot.sendMessage(chatId, `⚠️ Schedules can repeat at most every ${MIN_SCHEDULE_INTERVAL_MS / 60000} minutes.`);
+                return;
+            }
+            const nextRun = firstScheduleRun(parsed.spec);
+            if (!nextRun) {
+                await bot.sendMessage(chatId, "⚠️ That cron expression never fires.");
+                return;
             }
 
-            if (userMessage === '/credits') {
-                try {
-                    await bot.sendChatAction(chatId, 'typing');
-                    const rawStatic = process.env.PUTER_AUTH_TOKEN || "";
-                    const staticTokens = rawStatic.split(',').map(t => t.trim()).filter(Boolean);
-                    
-                    const tokens = await getAllTokens();
-                    let report = `<b>📊 Detailed Report</b>\n\n`;
-                    let grandTotal = 0.0;
-
-                    for (let i = 0; i < tokens.length; i++) {
-                        const token = tokens[i];
-                        const mask = `${token.slice(0, 4)}...${token.slice(-4)}`;
-                        const isEnv = staticTokens.includes(token);
-                        const sourceLabel = isEnv ? "<code>[ENV]</code>" : "<code>[DB]</code>";
+            const job = {
+                id: crypto.randomBytes(3).toString('hex'),
+                spec: parsed.spec,
+                label: parsed.label,
+                prompt,
+                nextRun,
+                convoId,
+                threadId: body.message.is_topic_message ? body.message.message_thread_id : null,
+                userId,
+                createdAt: Date.now()
+            };
+            const added = await withLock(`schedules:${chatId}`, async () => {
+                const jobs = await kv.get(`schedules:${chatId}`) || [];
+                if (jobs.length >= MAX_SCHEDULES_PER_CHAT) return false;
+                await saveSchedules(chatId, [...jobs, job]);
+                return true;
+            });
+            if (!added) {
+                await bot.sendMessage(chatId, `⚠️ This chat already has ${MAX_SCHEDULES_PER_CHAT} schedules. Remove one with /unschedule.`);
+                return;
+            }
+            await bot.sendMessage(chatId, `⏰ <b>Scheduled</b> <code>${job.id}</code> (${escapeHtml(job.label)}).\nNext run: ${formatTimestamp(nextRun)} (${SCHEDULE_TIME_ZONE})`, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'schedules',
+        section: 'schedules',
+        description: "List this chat's schedules",
+        async run({ bot, chatId }) {
+            const jobs = await kv.get(`schedules:${chatId}`) || [];
+            if (jobs.length === 0) {
+                await bot.sendMessage(chatId, "⏰ No schedules yet. Add one with /schedule.");
+                return;
+            }
+            let msg = `<b>⏰ Schedules (${jobs.length}/${MAX_SCHEDULES_PER_CHAT})</b>\n\n`;
+            jobs.forEach((job, i) => { msg += `${i + 1}. ${describeSchedule(job)}\n`; });
+            msg += `\n<i>Times are ${SCHEDULE_TIME_ZONE}. Remove one with /unschedule &lt;id&gt;.</i>`;
+            await bot.sendMessage(chatId, msg, {parse_mode: 'HTML'});
+        }
+    },
+    {
+        name: 'unschedule',
+        params: [{ name: 'id' }],
+        section: 'schedules',
+        description: "Remove a schedule",
+        async run({ bot, chatId, params: { id: target } }) {
+            const removed = await withLock(`schedules:${chatId}`, async () => {
+                const jobs = await kv.get(`schedules:${chatId}`) || [];
+                const job = /^\d+$/.test(target) && parseInt(target, 10) <= jobs.length ? jobs[parseInt(target, 10) - 1]
+                    : jobs.find(j => j.id === target.toLowerCase());
+                if (job) await saveSchedules(chatId, jobs.filter(j => j !== job));
+                return job;
+            });
+            if (!removed) {
+                await bot.sendMessage(chatId, "⚠️ No such schedule. See /schedules for ids.");
+                return;
+            }
+            await bot.sendMessage(chatId, `🗑️ Removed schedule <code>${removed.id}</code>.`, {parse_mode: 'HTML'});
+        }
+    }
+];
 
-                        try {
-                            const puter = init(token);
-                            let username = "Unknown";
-                            try {
-                                const user = await puter.auth.getUser();
-                                username = user.username || "Unknown";
-                            } catch (e) {}
-                            let balanceStr = "N/A";
-                            try {
-                                const usageData = await puter.auth.getMonthlyUsage();
-                                if (usageData && usageData.allowanceInfo) {
-                                    const remaining = usageData.allowanceInfo.remaining || 0;
-                                    const usd = remaining / 100000000;
-                                    balanceStr = `$${usd.toFixed(2)}`;
-                                    grandTotal += usd;
-                                }
-                            } catch (e) {}
-                            
-                            report += `<b>Token ${i + 1}</b> ${sourceLabel} (${mask})\n`;
-                            report += `• User: <code>${username}</code>\n`;
-                            report += `• Available: <b>${balanceStr}</b>\n\n`;
-                        } catch (e) {
-                            report += `<b>Token ${i + 1}</b> ${sourceLabel} (${mask})\n• ⚠️ Error: Invalid\n\n`;
-                        }
-                    }
-                    report += `-----------------------------\n`;
-                    report += `<b>💰 TOTAL: $${grandTotal.toFixed(2)}</b>\n\n`;
-                    report += `<i>To delete, use:</i>\n<code>/deltokens 1, 2, 3</code>\n<i>To auto-delete empty:</i>\n<code>/prune</code>`;
-                    
-                    await bot.sendMessage(chatId, report, { parse_mode: 'HTML' });
-                } catch (e) {
-                    await bot.sendMessage(chatId, `⚠️ Error: ${e.message}`);
-                }
-                return res.status(200).json({});
+// --- HELPER 20: SCHEDULED PROMPTS ---
+// /schedule stores jobs in schedules:<chatId>; schedule_chats lists the chats that
+// have any, since KV can't scan. api/cron.js (or poll.js's timer) calls
+// runDueSchedules, which answers each due prompt through runChatTurn with the
+// thread's model, prompt and budget, as if its creator had typed it.
+// Times are on the bot's Manila clock.
+const SCHEDULE_TIME_ZONE = 'Asia/Manila';
+const MAX_SCHEDULES_PER_CHAT = 10;
+const MIN_SCHEDULE_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_SCHEDULED_RUNS = 5;   // Per cron call; the rest stay due for the next one
+const MAX_SCHEDULE_PROMPT_CHARS = 1000;
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const INTERVAL_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "*/15", "1-5", "mon,wed", "9" -> Set of allowed values
+function parseCronField(text, field) {
+    const values = new Set();
+    const toNumber = token => {
+        const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        if (named !== -1) return named + field.min;
+        if (!/^\d+$/.test(token)) throw new Error(`Bad ${field.name} "${token}"`);
+        return parseInt(token, 10);
+    };
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!(step > 0)) throw new Error(`Bad step in "${part}"`);
+
+        let [from, to] = [field.min, field.max];
+        if (range !== '*') {
+            const bounds = range.split('-');
+            from = toNumber(bounds[0]);
+            to = bounds.length > 1 ? toNumber(bounds[1]) : (stepText === undefined ? from : field.max);
+        }
+        if (from < field.min || to > field.max || from > to) throw new Error(`${field.name} "${part}" is out of range`);
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    if (field.name === 'weekday' && values.delete(7)) values.add(0);   // 7 is Sunday too
+    return values;
+}
+
+function parseCron(expr) {
+    const parts = expr.trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error("A cron expression has 5 fields: minute hour day month weekday");
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+    // As in classic cron, when both day and weekday are restricted either may match
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+// Wall-clock minus UTC for the schedule zone at `ts`, in ms
+function zoneOffsetMs(ts) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: SCHEDULE_TIME_ZONE, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(ts)).forEach(p => { parts[p.type] = parseInt(p.value, 10); });
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(ts / 1000) * 1000;
+}
+
+// Next minute after `after` matching the expression, or null if none within a few years.
+// Walks a zone wall clock held in a UTC Date, skipping whole months, days and hours.
+function nextCronRun(expr, after = Date.now()) {
+    const cron = parseCron(expr);
+    const wall = new Date(after + zoneOffsetMs(after));
+    wall.setUTCSeconds(0, 0);
+    wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+    const limit = wall.getTime() + 5 * 366 * INTERVAL_UNITS_MS.d;
+
+    while (wall.getTime() < limit) {
+        if (!cron.months.has(wall.getUTCMonth() + 1)) {
+            wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+            wall.setUTCHours(0, 0);
+            continue;
+        }
+        const dayMatch = cron.days.has(wall.getUTCDate());
+        const weekdayMatch = cron.weekdays.has(wall.getUTCDay());
+        const dayOk = cron.anyDay && cron.anyWeekday ? true
+            : cron.anyDay ? weekdayMatch
+            : cron.anyWeekday ? dayMatch
+            : dayMatch || weekdayMatch;
+        if (!dayOk) {
+            wall.setUTCDate(wall.getUTCDate() + 1);
+            wall.setUTCHours(0, 0);
+            continue;
+        }
+        if (!cron.hours.has(wall.getUTCHours())) {
+            wall.setUTCHours(wall.getUTCHours() + 1, 0);
+            continue;
+        }
+        if (!cron.minutes.has(wall.getUTCMinutes())) {
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+            continue;
+        }
+        const guess = wall.getTime() - zoneOffsetMs(wall.getTime());
+        return wall.getTime() - zoneOffsetMs(guess);
+    }
+    return null;
+}
+
+// "8", "8am", "8:30", "8:30pm", "20:15" -> { hour, minute }
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+
+function parseClock(hourText, minuteText, meridiem) {
+    if (!minuteText && !meridiem) throw new Error("Write times like 8:00, 8am or 20:30");
+    let hour = parseInt(hourText, 10);
+    const minute = minuteText ? parseInt(minuteText, 10) : 0;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) throw new Error(`Bad time "${hourText}${meridiem}"`);
+        hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) throw new Error(`Bad time "${hourText}:${minuteText}"`);
+    return { hour, minute };
+}
+
+// Wall-clock date parts in the schedule zone -> timestamp
+function zonedTime(year, month, day, hour, minute) {
+    const wall = Date.UTC(year, month, day, hour, minute);
+    return wall - zoneOffsetMs(wall - zoneOffsetMs(wall));
+}
+
+// Splits "/schedule" arguments into { spec, label, prompt }. spec is one of
+// { cron }, { everyMs } or { at } (a one-off).
+function parseSchedule(text, now = Date.now()) {
+    const at = '(?:\\s+at)?\\s+' + TIME_PATTERN + '\\b';
+    let match;
+
+    // Five cron fields first: "0 8 * * 1-5 prompt"
+    const words = text.trim().split(/\s+/);
+    if (words.length > 5 && words.slice(0, 5).every(w => /^[\d*,\/-]+$|^[a-z]{3}(?:[,-][a-z]{3})*$/i.test(w)) && /[\d*]/.test(words[0])) {
+        const expr = words.slice(0, 5).join(' ');
+        parseCron(expr);
+        return { spec: { cron: expr }, label: expr, prompt: words.slice(5).join(' ') };
+    }
+
+    if ((match = text.match(/^in\s+(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?|w|weeks?)\b\s*([\s\S]*)$/i))) {
+        const ms = parseInt(match[1], 10) * INTERVAL_UNITS_MS[match[2][0].toLowerCase()];
+        return { spec: { at: now + ms }, label: 'once', prompt: match[3] };
+    }
+    if ((match = text.match(/^every\s+(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?|w|weeks?)\b\s*([\s\S]*)$/i))) {
+        const everyMs = parseInt(match[1], 10) * INTERVAL_UNITS_MS[match[2][0].toLowerCase()];
+        return { spec: { everyMs }, label: `every ${match[1]}${match[2][0].toLowerCase()}`, prompt: match[3] };
+    }
+    if ((match = text.match(new RegExp(`^(?:daily|every\\s+day)${at}\\s*([\\s\\S]*)$`, 'i')))) {
+        const { hour, minute } = parseClock(match[1], match[2], match[3]);
+        return { spec: { cron: `${minute} ${hour} * * *` }, label: `daily ${formatClock(hour, minute)}`, prompt: match[4] };
+    }
+    if ((match = text.match(new RegExp(`^(?:weekdays|every\\s+weekday)${at}\\s*([\\s\\S]*)$`, 'i')))) {
+        const { hour, minute } = parseClock(match[1], match[2], match[3]);
+        return { spec: { cron: `${minute} ${hour} * * 1-5` }, label: `weekdays ${formatClock(hour, minute)}`, prompt: match[4] };
+    }
+    if ((match = text.match(new RegExp(`^(?:every|weekly)\\s+(${WEEKDAYS.join('|')})s?${at}\\s*([\\s\\S]*)$`, 'i')))) {
+        const weekday = WEEKDAYS.indexOf(match[1].toLowerCase());
+        const { hour, minute } = parseClock(match[2], match[3], match[4]);
+        return { spec: { cron: `${minute} ${hour} * * ${weekday}` }, label: `every ${WEEKDAYS[weekday]} ${formatClock(hour, minute)}`, prompt: match[5] };
+    }
+    if ((match = text.match(new RegExp(`^(at|today|tomorrow)${at}\\s*([\\s\\S]*)$`, 'i')))) {
+        const { hour, minute } = parseClock(match[2], match[3], match[4]);
+        const today = new Date(now + zoneOffsetMs(now));
+        let runAt = zonedTime(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour, minute);
+        if (match[1].toLowerCase() === 'tomorrow') runAt = zonedTime(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1, hour, minute);
+        else if (runAt <= now) runAt = zonedTime(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1, hour, minute);
+        return { spec: { at: runAt }, label: 'once', prompt: match[5] };
+    }
+    throw new Error("I didn't understand the time");
+}
+
+function formatClock(hour, minute) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function firstScheduleRun(spec, now = Date.now()) {
+    if (spec.cron) return nextCronRun(spec.cron, now);
+    if (spec.everyMs) return now + spec.everyMs;
+    return spec.at;
+}
+
+// Run after the one due at job.nextRun; null once a one-off has fired.
+function nextScheduleRun(job, now = Date.now()) {
+    if (job.spec.cron) return nextCronRun(job.spec.cron, now);
+    if (job.spec.everyMs) {
+        let next = job.nextRun + job.spec.everyMs;
+        if (next <= now) next += (Math.floor((now - next) / job.spec.everyMs) + 1) * job.spec.everyMs;   // Skip missed runs
+        return next;
+    }
+    return null;
+}
+
+// Shortest gap between the next few runs, to refuse schedules that would fire too often
+function shortestScheduleGap(spec, now = Date.now()) {
+    if (spec.everyMs) return spec.everyMs;
+    if (!spec.cron) return Infinity;
+    let gap = Infinity;
+    let previous = nextCronRun(spec.cron, now);
+    for (let i = 0; previous && i < 4; i++) {
+        const next = nextCronRun(spec.cron, previous);
+        if (next) gap = Math.min(gap, next - previous);
+        previous = next;
+    }
+    return gap;
+}
+
+// Writes a chat's jobs and keeps schedule_chats in step. Call under the chat's schedules lock.
+async function saveSchedules(chatId, jobs) {
+    const key = `schedules:${chatId}`;
+    if (jobs.length > 0) await kv.set(key, jobs);
+    else await kv.del(key);
+
+    await withLock('schedule_chats', async () => {
+        const chats = await kv.get('schedule_chats') || [];
+        const listed = chats.includes(chatId);
+        if (jobs.length > 0 && !listed) await kv.set('schedule_chats', [...chats, chatId]);
+        if (jobs.length === 0 && listed) await kv.set('schedule_chats', chats.filter(c => c !== chatId));
+    });
+}
+
+function describeSchedule(job) {
+    const next = job.nextRun ? formatTimestamp(job.nextRun) : 'never';
+    return `<code>${job.id}</code> · ${escapeHtml(job.label)} · next ${next}\n    <i>${escapeHtml(job.prompt.slice(0, 120))}${job.prompt.length > 120 ? '…' : ''}</i>`;
+}
+
+// Claims due jobs by moving their nextRun forward (or dropping one-offs) before
+// running them, so an overlapping cron call can't run the same job twice.
+async function claimDueSchedules(chatId, now, limit) {
+    return withLock(`schedules:${chatId}`, async () => {
+        const jobs = await kv.get(`schedules:${chatId}`) || [];
+        const claimed = [];
+        const kept = [];
+        for (const job of jobs) {
+            if (job.nextRun > now || claimed.length >= limit) {
+                kept.push(job);
+                continue;
             }
+            // Creators who lost access don't keep spending on the chat's behalf
+            if (!(await getUserRole(job.userId, chatId))) {
+                console.warn(`Dropping schedule ${job.id} in chat ${chatId}: creator ${job.userId} has no access`);
+                continue;
+            }
+            claimed.push(job);
+            const nextRun = nextScheduleRun(job, now);
+            if (nextRun) kept.push({ ...job, nextRun, lastRun: now });
+        }
+        if (claimed.length > 0 || kept.length !== jobs.length) await saveSchedules(chatId, kept);
+        return claimed;
+    });
+}
 
-            if (userMessage === '/models') {
-                try {
-                    await bot.sendChatAction(chatId, 'typing');
-                    const tokens = await getAllTokens();
-                    const puter = init(tokens[0]);
-                    const models = await puter.ai.listModels();
-                    
-                    const grouped = {};
-                    models.forEach(m => {
-                        const provider = m.provider || 'Other';
-                        if (!grouped[provider]) grouped[provider] = [];
-                        grouped[provider].push(m.id);
-                    });
+async function runScheduledJob(bot, chatId, job) {
+    const topicBot = bindToTopic(bot, job.threadId);
+    await topicBot.sendMessage(chatId, `⏰ <b>Scheduled</b> <code>${job.id}</code>: <i>${escapeHtml(job.prompt.slice(0, 200))}</i>`, {parse_mode: 'HTML'});
+    const keys = await loadChatKeys(job.convoId);
+    await runChatTurn(topicBot, chatId, keys, job.prompt, null, { userId: job.userId });
+}
 
-                    const sendChunk = async (text) => {
-                        if (!text.trim()) return;
-                        await bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
-                    };
+// Entry point for api/cron.js and poll.js. Runs up to MAX_SCHEDULED_RUNS due jobs side by side.
+async function runDueSchedules(bot, now = Date.now()) {
+    const chatIds = await kv.get('schedule_chats') || [];
+    const due = [];
+    for (const chatId of chatIds) {
+        if (due.length >= MAX_SCHEDULED_RUNS) break;
+        try {
+            const claimed = await claimDueSchedules(chatId, now, MAX_SCHEDULED_RUNS - due.length);
+            claimed.forEach(job => due.push({ chatId, job }));
+        } catch (e) {
+            console.warn(`Schedule claim failed for chat ${chatId}:`, e.message);
+        }
+    }
 
-                    let currentBuffer = `<b>🤖 Available AI Models</b>\nUse /use &lt;name&gt; to switch.\n`;
-                    const MAX_SAFE_LENGTH = 3500; 
+    const results = await Promise.allSettled(due.map(({ chatId, job }) => runScheduledJob(bot, chatId, job)));
+    results.forEach((r, i) => {
+        if (r.status === 'rejected') console.warn(`Scheduled job ${due[i].job.id} in chat ${due[i].chatId} failed:`, r.reason?.message || r.reason);
+    });
+    return { ran: results.filter(r => r.status === 'fulfilled').length, failed: results.filter(r => r.status === 'rejected').length };
+}
 
-                    for (const provider of Object.keys(grouped).sort()) {
-                        const header = `\n<b>${provider.toUpperCase()}</b>\n`;
-                        if (currentBuffer.length + header.length > MAX_SAFE_LENGTH) {
-                            await sendChunk(currentBuffer);
-                            currentBuffer = "";
-                        }
-                        currentBuffer += header;
+// --- UPDATE PROCESSING (SHARED BY THE WEBHOOK AND poll.js) ---
+async function processUpdate(bot, body) {
+    if (body.inline_query) {
+        try {
+            await handleInlineQuery(bot, body.inline_query);
+        } catch (e) {
+            console.error("Inline query failed:", e);
+        }
+        return;
+    }
 
-                        for (const id of grouped[provider].sort()) {
-                            const line = `• ${id}\n`;
-                            if (currentBuffer.length + line.length > MAX_SAFE_LENGTH) {
-                                await sendChunk(currentBuffer);
-                                currentBuffer = "";
-                            }
-                            currentBuffer += line;
-                        }
-                    }
-                    await sendChunk(currentBuffer);
-                } catch (e) {
-                    await bot.sendMessage(chatId, `⚠️ Could not fetch models: ${e.message}`);
-                }
-                return res.status(200).json({});
+    if (body.callback_query) {
+        try {
+            await handleCallbackQuery(bot, body.callback_query);
+        } catch (e) {
+            console.error("Callback failed:", e);
+        }
+        return;
+    }
+
+    const imageRef = body.message ? extractImageRef(body.message) : null;
+    const audioRef = body.message ? extractAudioRef(body.message) : null;
+    if (body.message && (body.message.text || body.message.document || imageRef || audioRef)) {
+        const chatId = body.message.chat.id;
+        let userMessage = (body.message.text || body.message.caption || '').trim();
+        const userId = body.message.from ? body.message.from.id : chatId;
+
+        // Group gate: only react when addressed
+        const isGroup = ['group', 'supergroup'].includes(body.message.chat.type);
+        const groupSettingsKey = `group_settings:${chatId}`;
+        let groupSettings = null;
+        if (isGroup) {
+            const me = await getBotIdentity(bot);
+            groupSettings = await kv.get(groupSettingsKey) || {};
+
+            const commandTarget = parseCommand(userMessage)?.target;
+            if (commandTarget && commandTarget.toLowerCase() !== me.username.toLowerCase()) {
+                return;   // Command meant for another bot
             }
+            const isCommand = userMessage.startsWith('/');
+            const mentioned = userMessage.toLowerCase().includes(`@${me.username.toLowerCase()}`);
+            const repliedToBot = body.message.reply_to_message?.from?.id === me.id;
 
-            // --- 8. CHAT FLOW ---
-            await bot.sendChatAction(chatId, 'typing');
+            if (!isCommand && !mentioned && !repliedToBot && groupSettings.mode !== 'all') {
+                return;
+            }
+            // "/stat@ourbot" -> "/stat", "@ourbot what is X" -> "what is X"
+            userMessage = userMessage
+                .replace(new RegExp(`^(\\/\\w+)@${me.username}\\b`, 'i'), '$1')
+                .replace(new RegExp(`@${me.username}\\b\\s*`, 'gi'), '')
+                .trim();
+        }
+        bot = bindToTopic(bot, body.message.is_topic_message ? body.message.message_thread_id : null);
 
-            try {
-                let history = await kv.get(dbKey) || [];
-                const intent = await analyzeUserIntent(history, userMessage);
-                
-                // Add user message to history
-                history.push({ role: 'user', content: userMessage });
-                
-                const userModelPref = await kv.get(modelKey);
-                const activeModel = userModelPref || DEFAULT_MODEL;
-                
-                // --- SYSTEM CONTEXT CONSTRUCTION ---
-                // FIX 2: Get Manila Time for the Main Chat
-                const nowManila = new Date().toLocaleString("en-US", { timeZone: "Asia/Manila", dateStyle: "full", timeStyle: "short" });
+        const convoId = conversationId(body.message, groupSettings);
 
-                let systemContext = process.env.SYSTEM_PROMPT || "You are a helpful assistant.";
-                
-                // FIX 2: Inject Date into Context
-                systemContext += `\n\n[System Time]: Today is ${nowManila} (Asia/Manila).`;
+        // Whitelist & role check
+        const role = await getUserRole(userId, chatId);
+        if (!role) {
+            return;
+        }
+        const isAdmin = role === 'admin';
 
-                const customPrompt = await kv.get(promptKey);
-                if (customPrompt) {
-                    systemContext += `\n\n[Additional Instructions]:\n${customPrompt}`;
-                }
+        try {
+            await syncBotCommands(bot);
+        } catch (e) {
+            console.warn("Command sync failed:", e.message);
+        }
 
-                let hiddenSearchData = "";
+        const chatKeys = await loadChatKeys(convoId);
 
-                if (intent.action === 'SEARCH') {
-                    await bot.sendChatAction(chatId, 'typing');
-                    const searchResults = await performExaResearch(intent.query);
-                    
-                    if (searchResults) {
-                        hiddenSearchData = `\n\n[Search Query: ${intent.query}]\n`;
-                        systemContext += `\n\n[Context from Web Search]:\n${searchResults}`;
-                    }
+        const isTokenPaste = userMessage.startsWith('ey') && !userMessage.includes(' ') && userMessage.length > 50;
+        if (isTokenPaste && !isAdmin) {
+            console.warn(`Unauthorized token injection attempt by user ${userId} in chat ${chatId}`);
+            await bot.sendMessage(chatId, "⛔ <b>Admin only.</b> You don't have permission to manage tokens or balances.", {parse_mode: 'HTML'});
+            return;
+        }
+
+        // --- 1. TOKEN INJECTION HANDLER ---
+        if (isTokenPaste) {
+            try {
+                const { before } = await updateExtraTokens(tokens => tokens.includes(userMessage) ? tokens : [...tokens, userMessage]);
+                if (before.includes(userMessage)) {
+                    await bot.sendMessage(chatId, "⚠️ Token already exists.");
+                } else {
+                    await bot.sendMessage(chatId, `✅ <b>Token Added!</b>`, {parse_mode: 'HTML'});
                 }
+            } catch (e) {
+                await bot.sendMessage(chatId, `❌ Error: ${e.message}`);
+            }
+            return;
+        }
+
+        // --- 2. COMMANDS (SEE HELPER 19) ---
+        const parsed = parseCommand(userMessage);
+        if (parsed) {
+            const command = findCommand(parsed.name);
+            if (!command) {
+                // In groups an unknown command is most likely meant for another bot
+                if (!isGroup) await bot.sendMessage(chatId, `❓ Unknown command /${escapeHtml(parsed.name)}. See /help.`, {parse_mode: 'HTML'});
+                return;
+            }
+            if (command.role === 'admin' && !isAdmin) {
+                console.warn(`Unauthorized /${command.name} attempt by user ${userId} in chat ${chatId}`);
+                await bot.sendMessage(chatId, "⛔ <b>Admin only.</b> You don't have permission to use this command.", {parse_mode: 'HTML'});
+                return;
+            }
+            const { params, error } = parseCommandArgs(command, parsed.args);
+            if (error) {
+                await bot.sendMessage(chatId, `⚠️ ${escapeHtml(error)}\nUsage: <code>${escapeHtml(commandUsage(command))}</code>`, {parse_mode: 'HTML'});
+                return;
+            }
+
+            try {
+                await command.run({
+                    ...chatKeys, chatKeys, bot, body, chatId, userId, userMessage, convoId,
+                    command: command.name, args: parsed.args, params, role, isAdmin,
+                    isGroup, groupSettings, groupSettingsKey
+                });
+            } catch (e) {
+                // The update is already claimed, so a reply here is the only one the user gets
+                console.error(`/${command.name} failed:`, e);
+                await bot.sendMessage(chatId, `❌ /${command.name} failed: ${e.message}`).catch(() => {});
+            }
+            return;
+        }
 
-                const answerMessages = [
-                    { role: "system", content: systemContext },
-                    ...history 
-                ];
+        // --- 3. DOCUMENT UPLOADS ---
+        if (body.message.document && !imageRef) {
+            const doc = body.message.document;
+            if (!isSupportedDocument(doc)) {
+                await bot.sendMessage(chatId, "⚠️ Unsupported file type. Send text, Markdown, source code or PDF files.");
+                return;
+            }
+            await bot.sendChatAction(chatId, 'typing');
+            try {
+                const entry = await storeDocument(bot, chatKeys.docsKey, convoId, doc);
+                let note = `📎 Stored <code>${escapeHtml(entry.name)}</code> (${entry.chunks} chunks).`;
+                if (!userMessage) note += ` Ask me anything about it.`;
+                if (/\.json$/i.test(entry.name)) note += `\n<i>To restore a conversation export instead, send it with the caption <code>/import</code>.</i>`;
+                await bot.sendMessage(chatId, note, {parse_mode: 'HTML'});
+            } catch (e) {
+                console.warn(`Document upload failed:`, e.message);
+                await bot.sendMessage(chatId, `⚠️ Couldn't store that file: ${escapeHtml(e.message)}`, {parse_mode: 'HTML'});
+                return;
+            }
+            // A caption is a question about the file
+            if (!userMessage) return;
+        }
 
-                const finalResponse = await callAIWithRotation(answerMessages, activeModel);
+        // --- 4. CHAT FLOW ---
+        await bot.sendChatAction(chatId, 'typing');
 
-                // --- HTML FORMATTER & DB SAVE ---
-                const dbContent = finalResponse + hiddenSearchData;
-                history.push({ role: 'assistant', content: dbContent });
-                
-                if (history.length > 20) history = history.slice(-20);
-                await kv.set(dbKey, history);
-
-                const htmlReply = formatToHtml(finalResponse.trim());
-
-                // --- SMART SPLITTER (HTML AWARE) ---
-                let remaining = htmlReply;
-                while (remaining.length > 0) {
-                    let chunk;
-                    if (remaining.length <= 4000) {
-                        chunk = remaining;
-                        remaining = "";
-                    } else {
-                        let splitAt = remaining.lastIndexOf('\n', 4000);
-                        if (splitAt === -1) splitAt = 4000;
-                        chunk = remaining.slice(0, splitAt);
-                        remaining = remaining.slice(splitAt).trim();
-                    }
-                    try {
-                        await bot.sendMessage(chatId, chunk, { parse_mode: 'HTML' });
-                    } catch (e) {
-                        await bot.sendMessage(chatId, chunk.replace(/<[^>]*>/g, ''));
-                    }
-                }
+        if (imageRef && imageRef.size > MAX_IMAGE_BYTES) {
+            await bot.sendMessage(chatId, "⚠️ Image is too large. Please send one under 10 MB.");
+            return;
+        }
 
-            } catch (error) {
-                console.error(error);
-                await bot.sendMessage(chatId, `⚠️ Error: ${error.message}`);
+        // Voice notes: transcribe, then continue as if the transcript was typed
+        if (audioRef) {
+            if (audioRef.size > MAX_AUDIO_BYTES) {
+                await bot.sendMessage(chatId, "⚠️ Audio is too large. Please send one under 20 MB.");
+                return;
+            }
+            try {
+                const audioBuffer = await downloadTelegramFile(bot, audioRef.fileId);
+                userMessage = await transcribeAudio(audioBuffer, audioRef.mime);
+                const safeTranscript = userMessage.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                await bot.sendMessage(chatId, `🎙️ <i>${safeTranscript}</i>`, {parse_mode: 'HTML'});
+            } catch (e) {
+                console.warn(`Transcription failed:`, e.message);
+                await bot.sendMessage(chatId, `❌ Transcription failed: ${e.message}`);
+                return;
             }
+            await bot.sendChatAction(chatId, 'typing');
+        }
+
+        await runChatTurn(bot, chatId, chatKeys, userMessage, imageRef, { userId });
+    }
+}
+
+// --- MAIN HANDLER ---
+async function handler(req, res) {
+    if (req.method === 'POST') {
+        if (!isValidWebhookSecret(req)) {
+            console.warn(process.env.TELEGRAM_WEBHOOK_SECRET
+                ? "Rejected webhook call with a missing or wrong secret token"
+                : "Rejected webhook call: set TELEGRAM_WEBHOOK_SECRET and open /api/setup (or ALLOW_UNVERIFIED_WEBHOOK=1)");
+            return res.status(401).json({ status: 'unauthorized' });
+        }
+
+        const { body } = req;
+        if (!body || !(await claimUpdate(body.update_id))) {
+            return res.status(200).json({ status: 'duplicate' });
+        }
+
+        // The update is claimed now, so a 500 would only bring back a retry that gets dropped as a duplicate
+        try {
+            await processUpdate(new TelegramBot(process.env.TELEGRAM_BOT_TOKEN), body);
+        } catch (e) {
+            console.error(`Update ${body.update_id} failed:`, e);
+            return res.status(200).json({ status: 'error' });
         }
         res.status(200).json({ status: 'ok' });
     } else {
         res.status(200).json({ status: 'ready' });
     }
 }
+
+module.exports = handler;
+module.exports.processUpdate = processUpdate;
+module.exports.runDueSchedules = runDueSchedules;
@@ -0,0 +1,34 @@
+// api/cron.js
+// Runs the /schedule jobs that are due. Point any scheduler at it, every 5-15 minutes:
+//   Vercel Cron: add {"crons": [{"path": "/api/cron", "schedule": "*/10 * * * *"}]}
+//     to vercel.json; Vercel sends "Authorization: Bearer <CRON_SECRET>" by itself
+//   anything else: GET https://<your-app>/api/cron?secret=<CRON_SECRET>
+// Jobs only run when this is called, so they fire up to one interval late.
+const TelegramBot = require('node-telegram-bot-api');
+const { secretsMatch } = require('../lib/secret');
+const { runDueSchedules } = require('./bot');
+
+function isAuthorized(req, secret) {
+    const header = req.headers.authorization || '';
+    return secretsMatch(header.startsWith('Bearer ') ? header.slice(7) : req.query.secret, secret);
+}
+
+async function handler(req, res) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return res.status(500).json({ status: 'error', error: "Set CRON_SECRET first." });
+    }
+    if (!isAuthorized(req, secret)) {
+        return res.status(401).json({ status: 'unauthorized' });
+    }
+
+    try {
+        const result = await runDueSchedules(new TelegramBot(process.env.TELEGRAM_BOT_TOKEN));
+        res.status(200).json({ status: 'ok', ...result });
+    } catch (e) {
+        console.error("Scheduled run failed:", e);
+        res.status(500).json({ status: 'error', error: e.message });
+    }
+}
+
+module.exports = handler;
@@ -0,0 +1,39 @@
+// api/setup.js
+// Registers this deployment's /api/bot as the Telegram webhook, with the secret
+// token that api/bot.js checks on every update. Open once after deploying:
+//   https://<your-app>/api/setup?secret=<TELEGRAM_WEBHOOK_SECRET>
+const TelegramBot = require('node-telegram-bot-api');
+const { secretsMatch } = require('../lib/secret');
+
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query'];
+
+async function handler(req, res) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) {
+        return res.status(500).json({ status: 'error', error: "Set TELEGRAM_WEBHOOK_SECRET first (1-256 chars of A-Z, a-z, 0-9, _ and -)." });
+    }
+
+    // The same secret guards this route, so only the deployer can re-point the webhook
+    if (!secretsMatch(req.query.secret, secret)) {
+        return res.status(401).json({ status: 'unauthorized' });
+    }
+
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    const url = `https://${host}/api/bot`;
+    const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+
+    try {
+        await bot.setWebHook(url, {
+            secret_token: secret,
+            allowed_updates: JSON.stringify(ALLOWED_UPDATES),
+            drop_pending_updates: req.query.drop === '1'
+        });
+        const info = await bot.getWebHookInfo();
+        res.status(200).json({ status: 'ok', url: info.url, pending: info.pending_update_count, lastError: info.last_error_message || null });
+    } catch (e) {
+        console.error("Webhook setup failed:", e);
+        res.status(500).json({ status: 'error', error: e.message });
+    }
+}
+
+module.exports = handler;
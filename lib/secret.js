@@ -0,0 +1,15 @@
+// lib/secret.js
+// Constant-time comparison for the shared secrets that guard the HTTP routes
+// (the webhook header, /api/setup and /api/cron).
+const crypto = require('crypto');
+
+// True when `given` equals `expected`. Both are compared as bytes in constant
+// time; a missing value never matches.
+function secretsMatch(given, expected) {
+    if (!expected) return false;
+    const a = Buffer.from(String(given ?? ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { secretsMatch };
@@ -0,0 +1,271 @@
+// lib/storage.js
+// Key-value storage behind the small slice of the @vercel/kv API that the bot
+// uses: get/set/del/mget, the list commands, expire and incrbyfloat. Values are
+// JSON-serialized on write and parsed on read, like @vercel/kv does, so every
+// backend hands back the same shapes.
+//
+// Pick a backend with STORAGE_BACKEND:
+//   vercel-kv  Vercel KV / Upstash (KV_REST_API_URL + KV_REST_API_TOKEN)
+//   redis      Any Redis server (REDIS_URL, e.g. redis://localhost:6379)
+//   file       A local JSON file (STORAGE_FILE, default .data/storage.json)
+//   memory     In-process only, gone on restart
+// Left unset, it follows whichever of KV_REST_API_URL / REDIS_URL is present,
+// and falls back to memory.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORAGE_FILE = '.data/storage.json';
+
+function serialize(value) {
+    return JSON.stringify(value);
+}
+
+function deserialize(raw) {
+    if (raw === null || raw === undefined) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return raw;   // Written by something other than this module
+    }
+}
+
+// Redis-style inclusive range with negative indexes counted from the end
+function listRange(length, start, stop) {
+    const from = start < 0 ? Math.max(length + start, 0) : start;
+    const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+    return [from, to];
+}
+
+// --- BACKEND: MEMORY (ALSO THE BASE OF THE FILE BACKEND) ---
+// entries: key -> { type: 'string' | 'list', value, expiresAt }
+function createMemoryStorage({ entries = new Map(), onChange = () => {} } = {}) {
+    function read(key, type) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        if (type && entry.type !== type) {
+            throw new Error(`WRONGTYPE ${key} holds a ${entry.type}, not a ${type}`);
+        }
+        return entry;
+    }
+
+    function list(key, create) {
+        const entry = read(key, 'list');
+        if (entry || !create) return entry;
+        const fresh = { type: 'list', value: [], expiresAt: 0 };
+        entries.set(key, fresh);
+        return fresh;
+    }
+
+    function pop(key, fromEnd) {
+        const entry = list(key, false);
+        if (!entry) return null;
+        const raw = fromEnd ? entry.value.pop() : entry.value.shift();
+        if (entry.value.length === 0) entries.delete(key);
+        onChange();
+        return deserialize(raw);
+    }
+
+    return {
+        async get(key) {
+            const entry = read(key, 'string');
+            return entry ? deserialize(entry.value) : null;
+        },
+        async set(key, value, options = {}) {
+            if (options.nx && read(key)) return null;
+            if (options.xx && !read(key)) return null;
+            let expiresAt = 0;
+            if (options.ex) expiresAt = Date.now() + options.ex * 1000;
+            else if (options.px) expiresAt = Date.now() + options.px;
+            entries.set(key, { type: 'string', value: serialize(value), expiresAt });
+            onChange();
+            return 'OK';
+        },
+        async del(...keys) {
+            const removed = keys.filter(key => read(key) && entries.delete(key)).length;
+            if (removed) onChange();
+            return removed;
+        },
+        async mget(...keys) {
+            return keys.map(key => {
+                const entry = read(key, 'string');
+                return entry ? deserialize(entry.value) : null;
+            });
+        },
+        async lpush(key, ...values) {
+            const entry = list(key, true);
+            for (const value of values) entry.value.unshift(serialize(value));
+            onChange();
+            return entry.value.length;
+        },
+        async rpush(key, ...values) {
+            const entry = list(key, true);
+            entry.value.push(...values.map(serialize));
+            onChange();
+            return entry.value.length;
+        },
+        async lpop(key) {
+            return pop(key, false);
+        },
+        async rpop(key) {
+            return pop(key, true);
+        },
+        async ltrim(key, start, stop) {
+            const entry = list(key, false);
+            if (!entry) return 'OK';
+            const [from, to] = listRange(entry.value.length, start, stop);
+            entry.value = entry.value.slice(from, to + 1);
+            if (entry.value.length === 0) entries.delete(key);
+            onChange();
+            return 'OK';
+        },
+        async lrange(key, start, stop) {
+            const entry = list(key, false);
+            if (!entry) return [];
+            const [from, to] = listRange(entry.value.length, start, stop);
+            return entry.value.slice(from, to + 1).map(deserialize);
+        },
+        // Removes up to |count| copies of value, from the tail when count is negative; 0 removes all
+        async lrem(key, count, value) {
+            const entry = list(key, false);
+            if (!entry) return 0;
+            const raw = serialize(value);
+            const indexes = entry.value.flatMap((item, i) => item === raw ? [i] : []);
+            if (count < 0) indexes.reverse();
+            const doomed = new Set(count === 0 ? indexes : indexes.slice(0, Math.abs(count)));
+            if (doomed.size === 0) return 0;
+            entry.value = entry.value.filter((_, i) => !doomed.has(i));
+            if (entry.value.length === 0) entries.delete(key);
+            onChange();
+            return doomed.size;
+        },
+        async expire(key, seconds) {
+            const entry = read(key);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + seconds * 1000;
+            onChange();
+            return 1;
+        },
+        async incrbyfloat(key, increment) {
+            const entry = read(key, 'string');
+            const current = entry ? Number(deserialize(entry.value)) : 0;
+            if (Number.isNaN(current)) throw new Error(`ERR value at ${key} is not a valid float`);
+            const next = current + Number(increment);
+            entries.set(key, { type: 'string', value: serialize(next), expiresAt: entry ? entry.expiresAt : 0 });
+            onChange();
+            return next;
+        }
+    };
+}
+
+// --- BACKEND: JSON FILE ---
+// Rewritten in full after every change (write to a temp file, then rename), which
+// is plenty for one bot on one machine. Not safe to share between processes.
+function createFileStorage(file) {
+    const filePath = path.resolve(file);
+    const entries = new Map();
+    if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const [key, entry] of Object.entries(saved)) entries.set(key, entry);
+    }
+
+    function save() {
+        const now = Date.now();
+        const snapshot = {};
+        for (const [key, entry] of entries) {
+            if (!entry.expiresAt || entry.expiresAt > now) snapshot[key] = entry;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return createMemoryStorage({ entries, onChange: save });
+}
+
+// --- BACKEND: REDIS ---
+function createRedisStorage(url) {
+    const Redis = require('ioredis');
+    const redis = new Redis(url);
+
+    return {
+        async get(key) {
+            return deserialize(await redis.get(key));
+        },
+        async set(key, value, options = {}) {
+            const args = [key, serialize(value)];
+            if (options.ex) args.push('EX', options.ex);
+            else if (options.px) args.push('PX', options.px);
+            if (options.nx) args.push('NX');
+            else if (options.xx) args.push('XX');
+            return redis.set(...args);
+        },
+        async del(...keys) {
+            return redis.del(...keys);
+        },
+        async mget(...keys) {
+            return (await redis.mget(...keys)).map(deserialize);
+        },
+        async lpush(key, ...values) {
+            return redis.lpush(key, ...values.map(serialize));
+        },
+        async rpush(key, ...values) {
+            return redis.rpush(key, ...values.map(serialize));
+        },
+        async lpop(key) {
+            return deserialize(await redis.lpop(key));
+        },
+        async rpop(key) {
+            return deserialize(await redis.rpop(key));
+        },
+        async ltrim(key, start, stop) {
+            return redis.ltrim(key, start, stop);
+        },
+        async lrange(key, start, stop) {
+            return (await redis.lrange(key, start, stop)).map(deserialize);
+        },
+        async lrem(key, count, value) {
+            return redis.lrem(key, count, serialize(value));
+        },
+        async expire(key, seconds) {
+            return redis.expire(key, seconds);
+        },
+        async incrbyfloat(key, increment) {
+            return Number(await redis.incrbyfloat(key, increment));
+        }
+    };
+}
+
+// --- BACKEND SELECTION ---
+function resolveBackend(env) {
+    if (env.STORAGE_BACKEND) return env.STORAGE_BACKEND.trim().toLowerCase();
+    if (env.KV_REST_API_URL) return 'vercel-kv';
+    if (env.REDIS_URL) return 'redis';
+    return 'memory';
+}
+
+function createStorage(env = process.env) {
+    const backend = resolveBackend(env);
+    switch (backend) {
+        case 'vercel-kv':
+            return require('@vercel/kv').kv;
+        case 'redis':
+            if (!env.REDIS_URL) throw new Error("STORAGE_BACKEND=redis needs REDIS_URL.");
+            return createRedisStorage(env.REDIS_URL);
+        case 'file':
+            return createFileStorage(env.STORAGE_FILE || DEFAULT_STORAGE_FILE);
+        case 'memory':
+            if (!env.STORAGE_BACKEND) console.warn("No KV_REST_API_URL or REDIS_URL set; using in-memory storage (nothing persists).");
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use vercel-kv, redis, file or memory.`);
+    }
+}
+
+const kv = createStorage();
+
+module.exports = { kv, createStorage };
@@ -0,0 +1,221 @@
+// lib/telegram-html.js
+// Turns model Markdown into the small HTML subset Telegram accepts, and splits
+// long HTML into messages under the 4096 char limit without breaking tags.
+// Kept free of bot state so test/render.test.js can load it on its own.
+
+// --- HELPER 5: MARKDOWN TO TELEGRAM HTML RENDERER ---
+// Telegram's HTML mode only knows b/i/s/u/code/pre/a/blockquote, so block
+// elements are mapped onto those: headers -> bold, lists -> bullets,
+// tables -> aligned <pre>. Output is always balanced, valid Telegram HTML.
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderInline(text) {
+    // Code spans and links are swapped for placeholders so emphasis rules
+    // can't reach into them (e.g. underscores inside URLs).
+    const slots = [];
+    const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+    let out = text
+        .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:|tg:\/\/)[^\s)]+)\)/g, (_, label, url) =>
+            hold(`<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${renderInline(label)}</a>`));
+
+    out = escapeHtml(out)
+        // Bold first, so italic/strike below can refuse spans that cross a <b> boundary
+        .replace(/\*\*\*(?=\S)(.+?)\*\*\*/g, '<b><i>$1</i></b>')
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<b>$1</b>')
+        // A lone word in underscores is a dunder like __init__, not bold, and a
+        // span can't run on past another opening __ (__private, not __dunder__)
+        .replace(/(?<![\w_])__(?=\S)((?:(?!(?<![\w_])__\S).)+?)__(?![\w_])/g, (m, inner) => /^\w+$/.test(inner) ? m : `<b>${inner}</b>`)
+        .replace(/~~(?=\S)([^<>~]+?)~~/g, '<s>$1</s>')
+        // Italic (*Text*) -> <i> (Avoid matching list bullets like * Item).
+        // It may wrap whole <b> spans (*a **b** c*) but never cut through one.
+        .replace(/(?<![*\w])\*(?=[^\s*])((?:[^*<>]|<b>[^<>]*<\/b>)*?(?:[^\s*<>]|<b>[^<>]*<\/b>))?\*(?![*\w])/g, (m, inner) => inner ? `<i>${inner}</i>` : m)
+        .replace(/(?<![\w_])_(?=[^\s_])((?:[^_<>]|<b>[^<>]*<\/b>)*?(?:[^\s_<>]|<b>[^<>]*<\/b>))?_(?![\w_])/g, (m, inner) => inner ? `<i>${inner}</i>` : m);
+
+    return out.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[Number(i)]);
+}
+
+function renderTable(rows) {
+    const cells = rows
+        .filter(row => !/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(row))   // Drop |---|---| rows
+        .map(row => row.trim().replace(/^\||\|$/g, '').split('|')
+            .map(cell => cell.trim().replace(/\*\*|__|`/g, '')));
+    const widths = [];
+    cells.forEach(row => row.forEach((cell, i) => { widths[i] = Math.max(widths[i] || 0, cell.length); }));
+    const lines = cells.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join(' │ ').trimEnd());
+    return `<pre>${escapeHtml(lines.join('\n'))}</pre>`;
+}
+
+function formatToHtml(text) {
+    if (!text) return "";
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const out = [];
+    // Indent widths of the open list levels: models nest with 2, 3 or 4 spaces,
+    // so depth comes from how many shallower items enclose a line, not its width
+    let listIndents = [];
+    const listDepth = (indent) => {
+        const width = indent.replace(/\t/g, '    ').length;
+        while (listIndents.length && listIndents[listIndents.length - 1] > width) listIndents.pop();
+        if (!listIndents.length || listIndents[listIndents.length - 1] < width) listIndents.push(width);
+        return listIndents.length - 1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() && !/^\s*([-*+]|\d+[.)])\s+/.test(line)) listIndents = [];
+
+        // 1. Fenced code blocks (```lang ... ```) -> <pre><code class="language-lang">
+        const fence = line.match(/^\s*```\s*([\w+#.-]*)\s*$/);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) body.push(lines[i++]);
+            const code = escapeHtml(body.join('\n'));
+            out.push(fence[1] ? `<pre><code class="language-${fence[1]}">${code}</code></pre>` : `<pre>${code}</pre>`);
+            continue;
+        }
+
+        // 2. Tables (consecutive | rows) -> aligned monospace block
+        if (/^\s*\|.*\|\s*$/.test(line)) {
+            const rows = [];
+            while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) rows.push(lines[i++]);
+            i--;
+            out.push(renderTable(rows));
+            continue;
+        }
+
+        // 3. Blockquotes (> text) -> <blockquote>
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+            i--;
+            out.push(`<blockquote>${quoted.map(renderInline).join('\n')}</blockquote>`);
+            continue;
+        }
+
+        // 4. Headers (# Header) -> <b>
+        const header = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (header) {
+            out.push(`<b>${renderInline(header[1])}</b>`);
+            continue;
+        }
+
+        // 5. Horizontal rules
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            out.push('──────────');
+            continue;
+        }
+
+        // 6. Lists: bullets become •/◦ with indentation, numbered items keep their number
+        const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+        if (bullet) {
+            const depth = listDepth(bullet[1]);
+            out.push(`${'  '.repeat(depth)}${depth === 0 ? '•' : '◦'} ${renderInline(bullet[2])}`);
+            continue;
+        }
+        const numbered = line.match(/^(\s*)(\d+[.)])\s+(.*)$/);
+        if (numbered) {
+            const depth = listDepth(numbered[1]);
+            out.push(`${'  '.repeat(depth)}${numbered[2]} ${renderInline(numbered[3])}`);
+            continue;
+        }
+
+        out.push(renderInline(line));
+    }
+    return out.join('\n');
+}
+
+function htmlToPlain(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// --- HELPER 5b: SMART SPLITTER (TELEGRAM 4096 CHAR LIMIT) ---
+// Plain-text splitter, used for streaming previews.
+function splitForTelegram(text, limit = 4000) {
+    const chunks = [];
+    let remaining = text;
+    while (remaining.length > 0) {
+        if (remaining.length <= limit) {
+            chunks.push(remaining);
+            remaining = "";
+        } else {
+            let splitAt = remaining.lastIndexOf('\n', limit);
+            if (splitAt === -1) splitAt = limit;
+            chunks.push(remaining.slice(0, splitAt));
+            remaining = remaining.slice(splitAt).trim();
+        }
+    }
+    return chunks;
+}
+
+// HTML-aware splitter: cuts at the last newline that fits, closes the tags
+// open at that point and reopens them (with attributes) in the next chunk.
+function splitHtmlForTelegram(html, limit = 4000) {
+    const chunks = [];
+    const tokens = html.match(/<[^>]+>|[^<]+/g) || [];
+    const closersOf = (stack) => stack.slice().reverse().map(t => `</${t.name}>`).join('');
+    const openersOf = (stack) => stack.map(t => t.open).join('');
+
+    let stack = [];         // Replaced, never mutated, so break points can keep snapshots
+    let current = "";
+    let lastBreak = null;   // { at, stack } for the latest newline in `current`
+
+    const cut = (at, openStack, skip = 0) => {
+        const head = current.slice(0, at);
+        if (htmlToPlain(head).trim()) chunks.push(head + closersOf(openStack));
+        current = openersOf(openStack) + current.slice(at + skip);
+        lastBreak = null;
+    };
+
+    for (const token of tokens) {
+        if (token.startsWith('<')) {
+            const opening = !token.startsWith('</');
+            const next = opening ? [...stack, { name: token.match(/^<([\w-]+)/)[1], open: token }] : stack.slice(0, -1);
+            // An opening tag also needs room for its own closer and at least one character inside
+            if (current.length + token.length + closersOf(next).length + (opening ? 1 : 0) > limit) {
+                if (lastBreak) cut(lastBreak.at, lastBreak.stack, 1);
+                else cut(current.length, stack);
+            }
+            current += token;
+            stack = next;
+            continue;
+        }
+
+        let text = token;
+        while (text.length > 0) {
+            const room = limit - current.length - closersOf(stack).length;
+            if (text.length <= room) {
+                const nl = text.lastIndexOf('\n');
+                if (nl !== -1) lastBreak = { at: current.length + nl, stack };
+                current += text;
+                break;
+            }
+
+            const nl = text.lastIndexOf('\n', room - 1);
+            if (nl !== -1) {
+                current += text.slice(0, nl);
+                cut(current.length, stack);
+                text = text.slice(nl + 1);
+            } else if (lastBreak) {
+                cut(lastBreak.at, lastBreak.stack, 1);
+            } else if (htmlToPlain(current).trim()) {
+                cut(current.length, stack);
+            } else {
+                // One huge line: hard cut, but not through an entity like &amp;
+                let at = Math.max(room, 1);
+                const amp = text.lastIndexOf('&', at);
+                if (amp > 0 && amp > at - 8 && text.indexOf(';', amp) >= at) at = amp;
+                current += text.slice(0, at);
+                cut(current.length, stack);
+                text = text.slice(at);
+            }
+        }
+    }
+    if (htmlToPlain(current).trim()) chunks.push(current + closersOf(stack));
+    return chunks;
+}
+
+module.exports = { escapeHtml, formatToHtml, htmlToPlain, splitForTelegram, splitHtmlForTelegram };
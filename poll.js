@@ -0,0 +1,92 @@
+// poll.js
+// Runs the bot without Vercel or a public URL: pulls updates with getUpdates
+// long polling and feeds them through the same processUpdate as api/bot.js.
+//   TELEGRAM_BOT_TOKEN=... PUTER_AUTH_TOKEN=... ADMINS=<your id> npm run poll
+// Storage defaults to a local JSON file here (see lib/storage.js to change it),
+// and /schedule jobs run off a timer instead of api/cron.js.
+// Telegram won't serve getUpdates while a webhook is set, so this removes it;
+// open /api/setup again to switch a deployment back to webhooks.
+if (!process.env.STORAGE_BACKEND && !process.env.KV_REST_API_URL && !process.env.REDIS_URL) {
+    process.env.STORAGE_BACKEND = 'file';
+}
+
+const TelegramBot = require('node-telegram-bot-api');
+const { processUpdate, runDueSchedules } = require('./api/bot');
+
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query'];
+const POLL_TIMEOUT_SECONDS = 30;
+const RETRY_DELAY_MS = 5000;
+// Updates run side by side like webhook calls do; per-chat ordering is still
+// kept by the chat lock and queue in api/bot.js
+const MAX_CONCURRENT_UPDATES = Number(process.env.POLL_CONCURRENCY) || 4;
+const SCHEDULE_TICK_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+        console.error("Set TELEGRAM_BOT_TOKEN first.");
+        process.exit(1);
+    }
+    const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+    const me = await bot.getMe();
+    await bot.deleteWebHook();
+    console.error(`Polling as @${me.username} (storage: ${process.env.STORAGE_BACKEND || 'auto'})`);
+
+    const inFlight = new Set();
+    let stopping = false;
+    const stop = async () => {
+        if (stopping) return;
+        stopping = true;
+        console.error(`Stopping; waiting for ${inFlight.size} update(s) to finish...`);
+        await Promise.allSettled(inFlight);
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    let ticking = false;
+    setInterval(() => {
+        if (stopping || ticking) return;
+        ticking = true;
+        const task = runDueSchedules(bot)
+            .catch(e => console.error("Scheduled run failed:", e))
+            .finally(() => {
+                ticking = false;
+                inFlight.delete(task);
+            });
+        inFlight.add(task);
+    }, SCHEDULE_TICK_MS);
+
+    let offset = 0;
+    while (!stopping) {
+        let updates;
+        try {
+            updates = await bot.getUpdates({
+                offset,
+                timeout: POLL_TIMEOUT_SECONDS,
+                allowed_updates: JSON.stringify(ALLOWED_UPDATES)
+            });
+        } catch (e) {
+            console.warn("getUpdates failed:", e.message);
+            await sleep(RETRY_DELAY_MS);
+            continue;
+        }
+
+        for (const update of updates) {
+            if (stopping) break;
+            offset = update.update_id + 1;
+            while (inFlight.size >= MAX_CONCURRENT_UPDATES) await Promise.race(inFlight);
+
+            const task = processUpdate(bot, update)
+                .catch(e => console.error(`Update ${update.update_id} failed:`, e))
+                .finally(() => inFlight.delete(task));
+            inFlight.add(task);
+        }
+    }
+}
+
+main().catch(e => {
+    console.error("Polling stopped:", e);
+    process.exit(1);
+});
@@ -0,0 +1,76 @@
+// test/render.test.js
+// Golden tests for lib/telegram-html.js. Each fixtures/render/<name>.md is a
+// model reply and <name>.html is the Telegram HTML it must render to. Every
+// rendering is also split and checked against Telegram's limits.
+//   npm test
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { formatToHtml, splitHtmlForTelegram } = require('../lib/telegram-html');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'render');
+const TELEGRAM_MAX_CHARS = 4096;
+const TELEGRAM_TAGS = new Set(['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'code', 'pre', 'a', 'blockquote', 'tg-spoiler', 'span']);
+// The default 4000 plus tighter limits, so cuts land inside code blocks, links and lists
+const SPLIT_LIMITS = [4000, 1000, 300, 120];
+
+const corpus = fs.readdirSync(CORPUS_DIR)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+        const name = path.basename(file, '.md');
+        return {
+            name,
+            markdown: fs.readFileSync(path.join(CORPUS_DIR, file), 'utf8'),
+            html: fs.readFileSync(path.join(CORPUS_DIR, `${name}.html`), 'utf8')
+        };
+    });
+
+// Throws unless every tag is one Telegram knows and each closes the innermost open one
+function assertBalanced(html, label) {
+    const stack = [];
+    for (const [tag, closing, name] of html.matchAll(/<(\/?)([\w-]+)[^>]*>/g)) {
+        assert.ok(TELEGRAM_TAGS.has(name), `${label}: unsupported tag ${tag}`);
+        if (closing) {
+            assert.strictEqual(stack.pop(), name, `${label}: ${tag} closes the wrong tag`);
+        } else {
+            stack.push(name);
+        }
+    }
+    assert.deepStrictEqual(stack, [], `${label}: left open: ${stack.join(', ')}`);
+}
+
+test('corpus covers replies longer than one message', () => {
+    assert.ok(corpus.some(({ html }) => html.length > 4000));
+});
+
+for (const { name, markdown, html } of corpus) {
+    test(`renders ${name}`, () => {
+        assert.strictEqual(formatToHtml(markdown), html);
+        assertBalanced(html, name);
+    });
+
+    test(`splits ${name} into valid messages`, () => {
+        for (const limit of SPLIT_LIMITS) {
+            const chunks = splitHtmlForTelegram(html, limit);
+            assert.ok(chunks.length > 0, `${name}: no chunks at limit ${limit}`);
+            chunks.forEach((chunk, i) => {
+                const label = `${name} chunk ${i + 1}/${chunks.length} at limit ${limit}`;
+                assert.ok(chunk.length <= Math.min(limit, TELEGRAM_MAX_CHARS), `${label}: ${chunk.length} chars`);
+                assertBalanced(chunk, label);
+            });
+            if (html.length <= limit) assert.strictEqual(chunks.length, 1);
+        }
+    });
+}
+
+test('splits a reply that is one long line', () => {
+    const html = formatToHtml(`**Hash:** ${'a1b2_c3&d4'.repeat(600)}`);
+    const chunks = splitHtmlForTelegram(html);
+    assert.ok(chunks.length > 1);
+    chunks.forEach((chunk, i) => {
+        assert.ok(chunk.length <= TELEGRAM_MAX_CHARS);
+        assertBalanced(chunk, `chunk ${i + 1}`);
+        assert.doesNotMatch(chunk, /&[a-z]*$|^[a-z]*;/, `chunk ${i + 1} cuts through an entity`);
+    });
+});